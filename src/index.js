@@ -1,4 +1,19 @@
 export * from './security/auth.hook';
-export { types } from './security/config';
-export { GraphService } from './security/services';
-export { AuthenticationService } from './security/services';
+export * from './security/auth.context';
+export * from './security/components';
+export { types, validateConfig } from './security/config';
+export {
+    AuthError,
+    InteractionRequiredError,
+    ConsentRequiredError,
+    LoginCancelledError,
+    PasswordResetRequiredError,
+    TenantNotAllowedError,
+    ConfigurationError,
+    NetworkError,
+    AuthDisabledError
+} from './security/auth.errors';
+export { createMemoryStorage, createWebStorage, createIndexedDBStorage } from './security/storage.util';
+export { GraphService, createGraphService } from './security/services';
+export { AuthenticationService, createAuthenticationService } from './security/services';
+export { createSecureClient } from './security/services';
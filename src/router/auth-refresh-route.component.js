@@ -0,0 +1,48 @@
+import { useAuthService } from '../security/auth.context';
+import { AuthenticationService } from '../security/services';
+
+// default token refresh path.
+const TOKEN_REFRESH_PATH = '/auth';
+
+/**
+ * Whether current window is the token
+ * renewal iframe, loaded by MSAL on
+ * tokenRefreshUri, so app shouldn't
+ * be booted inside it.
+ *
+ * @export
+ *
+ * @param {string} [path] token refresh path, default
+ *  service tokenRefreshUri or '/auth' by default.
+ *
+ * @returns {boolean} true if is the renewal iframe.
+ */
+export function isAuthRefreshFrame(path)
+{
+    const uri = path ?? AuthenticationService.baseConfig?.auth.tokenRefreshUri ?? TOKEN_REFRESH_PATH;
+
+    return window.parent !== window
+        && window.location.pathname === new URL(uri, window.location.origin).pathname;
+}
+
+/**
+ * Token refresh route, rendering nothing.
+ * Used as route element on tokenRefreshUri,
+ * or wrapping the app, so it isn't booted
+ * inside the renewal iframe.
+ *
+ * @export
+ *
+ * @param {object} props component props.
+ * @param {string} [props.path] token refresh path, nearest
+ *  AuthProvider service tokenRefreshUri or '/auth' by default.
+ * @param {any} [props.children] app, rendered outside renewal iframe.
+ *
+ * @returns {JSX.Element} children, or nothing inside renewal iframe.
+ */
+export function AuthRefreshRoute({ path, children = null })
+{
+    const authService = useAuthService();
+
+    return isAuthRefreshFrame(path ?? authService.baseConfig?.auth.tokenRefreshUri) ? null : children;
+}
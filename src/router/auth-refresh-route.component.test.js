@@ -0,0 +1,33 @@
+import '@testing-library/jest-dom';
+import { render, screen } from '@testing-library/react';
+import { AuthProvider } from '../security/auth.context';
+import { createMockAuth } from '../testing';
+import { AuthRefreshRoute } from './auth-refresh-route.component';
+
+// simulates the renewal iframe.
+beforeAll(() => jest.spyOn(window, 'parent', 'get').mockReturnValue({}));
+afterAll(() => jest.restoreAllMocks());
+
+afterEach(() => window.history.replaceState(null, '', '/'));
+
+test('uses provider service tokenRefreshUri', () =>
+{
+    const mock = createMockAuth({ config: { tokenRefreshUri: '/silent' } });
+
+    window.history.replaceState(null, '', '/silent');
+
+    render(<AuthProvider service={ mock.service }><AuthRefreshRoute><p>App</p></AuthRefreshRoute></AuthProvider>);
+
+    expect(screen.queryByText('App')).not.toBeInTheDocument();
+});
+
+test('renders app outside provider service tokenRefreshUri', () =>
+{
+    const mock = createMockAuth({ config: { tokenRefreshUri: '/silent' } });
+
+    window.history.replaceState(null, '', '/auth');
+
+    render(<AuthProvider service={ mock.service }><AuthRefreshRoute><p>App</p></AuthRefreshRoute></AuthProvider>);
+
+    expect(screen.getByText('App')).toBeInTheDocument();
+});
@@ -0,0 +1,2 @@
+export { AuthRefreshRoute, isAuthRefreshFrame } from './auth-refresh-route.component';
+export { ProtectedRoute } from './protected-route.component';
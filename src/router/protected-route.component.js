@@ -0,0 +1,62 @@
+import { Outlet, useHref, useLocation } from 'react-router-dom';
+import { useAuthentication, useAuthorization } from '../security/auth.hook';
+import { types } from '../security/config';
+
+/**
+ * Route only accessible for authenticated
+ * accounts satisfying the authorization
+ * policy. Starts login if account isn't
+ * authenticated, returning to requested
+ * URL after redirect login.
+ *
+ * Renders children, or nested routes
+ * if used as layout route.
+ *
+ * @export
+ *
+ * @param {object} props component props.
+ * @param {string|Array<string>} [props.roles] allowed roles, account should has at least one.
+ * @param {Array<string>} [props.anyOf] account should has at least one of these roles.
+ * @param {Array<string>} [props.allOf] account should has every one of these roles.
+ * @param {object} [props.claims] required claims, as claim name and expected
+ *  value, array of accepted values or predicate function.
+ * @param {string} [props.loginType] login type (redirect or popup).
+ * @param {any} [props.loadingElement] rendered while authenticating.
+ * @param {any} [props.unauthorizedElement] rendered when account isn't authorized.
+ * @param {any} [props.errorElement] rendered on login failure, or
+ *  function receiving the AuthError and returning it.
+ * @param {any} [props.children] rendered when account is authorized.
+ *
+ * @returns {JSX.Element} children, nested routes, or loading,
+ *  unauthorized or error elements.
+ */
+export function ProtectedRoute({
+    roles,
+    anyOf,
+    allOf,
+    claims,
+    loginType = types.LOGIN_TYPE.REDIRECT,
+    loadingElement = null,
+    unauthorizedElement = null,
+    errorElement = null,
+    children
+})
+{
+    const location = useLocation();
+    const href = useHref(location);
+    const returnUrl = new URL(href, window.location.href).href;
+
+    const { authenticating, authenticated, error } = useAuthentication({ loginType, returnUrl });
+    const { authorized } = useAuthorization({ roles, anyOf, allOf, claims });
+
+    if (error && !authenticated)
+        return (typeof errorElement === 'function' ? errorElement(error) : errorElement) ?? null;
+
+    if (authenticating || !authenticated)
+        return loadingElement;
+
+    if (!authorized)
+        return unauthorizedElement;
+
+    return children ?? <Outlet />;
+}
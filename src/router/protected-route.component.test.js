@@ -0,0 +1,81 @@
+import '@testing-library/jest-dom';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { AuthProvider } from '../security/auth.context';
+import { createMockAuth } from '../testing';
+import { ProtectedRoute } from './protected-route.component';
+
+/**
+ * Renders a protected admin
+ * route at requested path.
+ *
+ * @param {object} service authentication service.
+ * @param {object} [props] ProtectedRoute props.
+ *
+ * @returns {object} render result.
+ */
+function renderRoute(service, props)
+{
+    return render(
+        <AuthProvider service={ service }>
+            <MemoryRouter initialEntries={ [ '/admin?tab=users' ] }>
+                <Routes>
+                    <Route
+                        path='/admin'
+                        element={ (
+                            <ProtectedRoute
+                                roles='Admin'
+                                loadingElement={ <p>Loading</p> }
+                                unauthorizedElement={ <p>Unauthorized</p> }
+                                { ...props }
+                            >
+                                <p>Admin panel</p>
+                            </ProtectedRoute>
+                        ) }
+                    />
+                </Routes>
+            </MemoryRouter>
+        </AuthProvider>
+    );
+}
+
+test('renders loading element and logins with requested URL', () =>
+{
+    const mock = createMockAuth({ account: null });
+    const login = jest.spyOn(mock.service, 'login').mockReturnValue(new Promise(() => null));
+
+    renderRoute(mock.service);
+
+    expect(screen.getByText('Loading')).toBeInTheDocument();
+    expect(login).toHaveBeenCalledWith(expect.objectContaining({ returnUrl: 'http://localhost/admin?tab=users' }));
+});
+
+test('renders unauthorized element without role', () =>
+{
+    const mock = createMockAuth({ roles: [ 'Reader' ] });
+
+    renderRoute(mock.service);
+
+    expect(screen.getByText('Unauthorized')).toBeInTheDocument();
+    expect(screen.queryByText('Admin panel')).not.toBeInTheDocument();
+});
+
+test('renders children with role', () =>
+{
+    const mock = createMockAuth({ roles: [ 'Admin' ] });
+
+    renderRoute(mock.service);
+
+    expect(screen.getByText('Admin panel')).toBeInTheDocument();
+});
+
+test('renders error element on login failure', async () =>
+{
+    const mock = createMockAuth({ account: null });
+
+    mock.simulateLoginFailure(new Error('Login failed.'));
+
+    renderRoute(mock.service, { errorElement: ({ message }) => <p>{message}</p> });
+
+    expect(await screen.findByText('Login failed.')).toBeInTheDocument();
+});
@@ -0,0 +1,145 @@
+/**
+ * Authentication React context.
+ *
+ * @summary Authentication context provider.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 10:21:17
+ * Last modified  : 2026-10-20 09:47:15
+ */
+
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import {
+    AuthenticationService,
+    GraphService,
+    createAuthenticationService,
+    createGraphService
+} from './services';
+
+// default services, initialized by AuthenticationService.init().
+const AuthContext = createContext({
+    authService: AuthenticationService,
+    graphService: GraphService
+});
+
+/**
+ * Provides its own authentication and Graph
+ * services instances to children components.
+ *
+ * @export
+ *
+ * @param {object} props component props.
+ * @param {object|string|Function} [props.config] MSAL auth config (same as
+ *  AuthenticationService.init), or config URL or loader function for
+ *  runtime config loading (same as AuthenticationService.initFromUrl).
+ * @param {boolean} [props.disabled] whether authentication is disabled.
+ * @param {object} [props.service] already initialized authentication service.
+ *  If defined, config and disabled are ignored.
+ *  Otherwise, service is initialized on mount and
+ *  children are rendered afterwards.
+ * @param {any} props.children children components.
+ *
+ * @returns {JSX.Element} context provider.
+ */
+export function AuthProvider({ config, disabled, service, children })
+{
+    const services = useRef(null);
+    const initialized = useRef(false);
+    const mounted = useRef(false);
+
+    // children are rendered after services initialization.
+    const [ ready, setReady ] = useState(!!service);
+
+    // creates services once and without side effects,
+    // as render may run twice (StrictMode).
+    if (!services.current)
+    {
+        const authService = service ?? createAuthenticationService();
+
+        services.current = {
+            authService,
+            graphService: createGraphService(authService)
+        };
+    }
+
+    const value = services.current;
+
+    // whether services were created by this provider.
+    const owned = value.authService !== service;
+
+    // initializes services created by this provider on first
+    // mount, restarts session sync and token renewal on
+    // remount, and stops them on unmount.
+    useEffect(() =>
+    {
+        if (!owned)
+            return undefined;
+
+        const { authService } = value;
+
+        mounted.current = true;
+
+        if (!initialized.current)
+        {
+            initialized.current = true;
+
+            // runtime config, hooks reports authenticating meanwhile.
+            if (typeof config === 'string' || typeof config === 'function')
+            {
+                authService.initFromUrl(config, disabled)
+                    .then(() => !mounted.current && authService.stopBackgroundTasks())
+                    .catch(() => null);
+            }
+            else
+            {
+                authService.init(config, disabled);
+            }
+
+            setReady(true);
+        }
+        else
+        {
+            authService.startBackgroundTasks();
+        }
+
+        return () =>
+        {
+            mounted.current = false;
+            authService.stopBackgroundTasks();
+        };
+    }, []);
+
+    return (
+        <AuthContext.Provider value={ value }>
+            {ready && children}
+        </AuthContext.Provider>
+    );
+}
+
+/**
+ * Returns the authentication service
+ * from nearest AuthProvider, or the
+ * default instance if none.
+ *
+ * @export
+ *
+ * @returns {object} authentication service.
+ */
+export function useAuthService()
+{
+    return useContext(AuthContext).authService;
+}
+
+/**
+ * Returns the Graph service
+ * from nearest AuthProvider, or the
+ * default instance if none.
+ *
+ * @export
+ *
+ * @returns {object} Graph service.
+ */
+export function useGraphService()
+{
+    return useContext(AuthContext).graphService;
+}
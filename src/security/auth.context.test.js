@@ -0,0 +1,124 @@
+import { webcrypto } from 'crypto';
+import { StrictMode } from 'react';
+import { render } from '@testing-library/react';
+import { createMockAuth } from '../testing';
+import { AuthProvider, useAuthService } from './auth.context';
+
+// MSAL requires browser crypto.
+beforeAll(() => Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true }));
+afterEach(() => jest.restoreAllMocks());
+
+/**
+ * Exposes provider service.
+ *
+ * @param {object} props component props.
+ * @param {Function} props.onService receives the service.
+ *
+ * @returns {JSX.Element} nothing.
+ */
+function Service({ onService })
+{
+    onService(useAuthService());
+
+    return null;
+}
+
+test('stops session sync and token renewal on unmount', () =>
+{
+    let service;
+    const config = {
+        clientId: '2a85c521-02fc-4796-8ecc-eaa13eee2e7b',
+        tenantId: 'common',
+        autoRenewToken: true
+    };
+
+    const { unmount } = render(
+        <AuthProvider config={ config }><Service onService={ (value) => service = value } /></AuthProvider>
+    );
+
+    const stopSync = jest.spyOn(service.sync, 'stop');
+    const stopRenewal = jest.spyOn(service, 'stopTokenRenewal');
+
+    unmount();
+
+    expect(stopSync).toHaveBeenCalled();
+    expect(stopRenewal).toHaveBeenCalled();
+});
+
+test('keeps received service running on unmount', () =>
+{
+    const mock = createMockAuth();
+    const stopRenewal = jest.spyOn(mock.service, 'stopTokenRenewal');
+
+    const { unmount } = render(<AuthProvider service={ mock.service } />);
+
+    unmount();
+
+    expect(stopRenewal).not.toHaveBeenCalled();
+});
+
+test('initializes service once on strict mode', async () =>
+{
+    let service;
+    const loader = jest.fn(() => new Promise(() => null));
+
+    render(
+        <StrictMode>
+            <AuthProvider config={ loader }><Service onService={ (value) => service = value } /></AuthProvider>
+        </StrictMode>
+    );
+
+    // config loader runs asynchronously.
+    await Promise.resolve();
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(service.state.authenticating).toBe(true);
+});
+
+test('restarts session sync and token renewal', () =>
+{
+    let service;
+    const config = {
+        clientId: '2a85c521-02fc-4796-8ecc-eaa13eee2e7b',
+        tenantId: 'common',
+        autoRenewToken: true
+    };
+
+    render(<AuthProvider config={ config }><Service onService={ (value) => service = value } /></AuthProvider>);
+
+    const startRenewal = jest.spyOn(service, 'startTokenRenewal');
+
+    // as provider effect on remount.
+    service.stopBackgroundTasks();
+    service.startBackgroundTasks();
+
+    expect(service.sync.subscriptions).not.toHaveLength(0);
+    expect(startRenewal).toHaveBeenCalled();
+});
+
+test('stops runtime config service loaded after unmount', async () =>
+{
+    let resolve;
+    let service;
+    const config = {
+        clientId: '2a85c521-02fc-4796-8ecc-eaa13eee2e7b',
+        tenantId: 'common'
+    };
+
+    const { unmount } = render(
+        <AuthProvider config={ () => new Promise((done) => resolve = done) }>
+            <Service onService={ (value) => service = value } />
+        </AuthProvider>
+    );
+
+    // config loader runs asynchronously.
+    await Promise.resolve();
+
+    unmount();
+    resolve(config);
+
+    await service.redirectPromise.catch(() => null);
+    await Promise.resolve();
+
+    expect(service.sync.subscriptions).toHaveLength(0);
+});
@@ -0,0 +1,222 @@
+/**
+ * Authentication errors, mapped
+ * from MSAL error codes, so apps
+ * can decide what to do on token
+ * or login failures.
+ *
+ * @summary Authentication error model.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 19:48:27
+ * Last modified  : 2026-10-19 21:31:06
+ */
+
+import { InteractionRequiredAuthError } from '@azure/msal-browser';
+
+// MSAL codes for consent required errors.
+const CONSENT_CODES = [ 'consent_required', 'AADSTS65001' ];
+
+// MSAL codes for user cancelled interactions.
+const CANCELLED_CODES = [ 'user_cancelled', 'access_denied', 'AADSTS65004', 'AADB2C90091' ];
+
+// B2C code for "forgot password" link.
+const PASSWORD_RESET_CODES = [ 'AADB2C90118' ];
+
+// MSAL codes for interaction required errors,
+// besides InteractionRequiredAuthError ones.
+const INTERACTION_CODES = [
+    'interaction_required',
+    'login_required',
+    'no_account_error',
+    'no_tokens_found',
+    'bad_token',
+    'monitor_window_timeout'
+];
+
+// MSAL codes for network failures.
+const NETWORK_CODES = [
+    'no_network_connectivity',
+    'post_request_failed',
+    'get_request_failed',
+    'endpoints_resolution_error',
+    'network_error'
+];
+
+/**
+ * Base authentication error.
+ */
+export class AuthError extends Error
+{
+    /**
+     * Initializes error data.
+     *
+     * @param {string} message error message.
+     * @param {object} [options] options.
+     * @param {string} [options.code] MSAL error code.
+     * @param {Error} [options.cause] original error.
+     */
+    constructor(message, { code, cause } = {})
+    {
+        super(message);
+
+        this.code = code ?? cause?.errorCode ?? null;
+        this.cause = cause ?? null;
+    }
+}
+
+// explicit names, as class names may be minified.
+AuthError.prototype.name = 'AuthError';
+
+/**
+ * User interaction is required,
+ * i.e. session expired or no
+ * account is signed in.
+ */
+export class InteractionRequiredError extends AuthError {}
+
+InteractionRequiredError.prototype.name = 'InteractionRequiredError';
+
+/**
+ * User or admin consent is
+ * required for requested scopes.
+ */
+export class ConsentRequiredError extends InteractionRequiredError {}
+
+ConsentRequiredError.prototype.name = 'ConsentRequiredError';
+
+/**
+ * User cancelled the login
+ * or consent interaction.
+ */
+export class LoginCancelledError extends AuthError {}
+
+LoginCancelledError.prototype.name = 'LoginCancelledError';
+
+/**
+ * User selected "forgot password"
+ * link in B2C sign-in page, so
+ * password reset flow is required.
+ */
+export class PasswordResetRequiredError extends AuthError {}
+
+PasswordResetRequiredError.prototype.name = 'PasswordResetRequiredError';
+
+/**
+ * Signed in account tenant isn't
+ * in allowedTenants config.
+ */
+export class TenantNotAllowedError extends AuthError {}
+
+TenantNotAllowedError.prototype.name = 'TenantNotAllowedError';
+
+/**
+ * Authentication config has
+ * invalid or missing fields.
+ */
+export class ConfigurationError extends AuthError
+{
+    /**
+     * Initializes error message
+     * from fields errors.
+     *
+     * @param {Array<string>} errors fields errors.
+     * @param {object} [options] options.
+     * @param {Error} [options.cause] original error.
+     */
+    constructor(errors, { cause } = {})
+    {
+        super(`Invalid authentication config:\n${errors.map((error) => `  - ${error}`).join('\n')}`, {
+            code: 'invalid_config',
+            cause
+        });
+
+        this.errors = errors;
+    }
+}
+
+ConfigurationError.prototype.name = 'ConfigurationError';
+
+/**
+ * Identity provider couldn't
+ * be reached.
+ */
+export class NetworkError extends AuthError {}
+
+NetworkError.prototype.name = 'NetworkError';
+
+/**
+ * Authentication is disabled,
+ * so tokens aren't available.
+ */
+export class AuthDisabledError extends AuthError
+{
+    /**
+     * Initializes error message.
+     */
+    constructor()
+    {
+        super('Authentication is disabled.', { code: 'auth_disabled' });
+    }
+}
+
+AuthDisabledError.prototype.name = 'AuthDisabledError';
+
+/**
+ * Whether error matches any code,
+ * from its code, sub-error or message.
+ *
+ * @param {object} error MSAL error.
+ * @param {string} [error.errorCode] error code.
+ * @param {string} [error.subError] sub-error code.
+ * @param {string} [error.errorMessage] MSAL error message.
+ * @param {string} [error.message] error message.
+ * @param {Array<string>} codes error codes.
+ *
+ * @returns {boolean} true if any code matches.
+ */
+function matches({ errorCode, subError, errorMessage, message }, codes)
+{
+    const text = `${errorMessage ?? ''} ${message ?? ''}`;
+
+    return codes.some((code) => code === errorCode || code === subError || text.includes(code));
+}
+
+/**
+ * Maps an MSAL error to
+ * an authentication error.
+ *
+ * @export
+ *
+ * @param {Error} error MSAL error.
+ *
+ * @returns {AuthError} authentication error.
+ */
+export function toAuthError(error)
+{
+    if (error instanceof AuthError)
+        return error;
+
+    const options = { code: error?.errorCode, cause: error };
+    const message = error?.errorMessage || error?.message || 'Authentication failed.';
+
+    if (!error)
+        return new AuthError(message, options);
+
+    if (matches(error, CONSENT_CODES))
+        return new ConsentRequiredError(message, options);
+
+    // B2C reports it as access_denied, so is checked first.
+    if (matches(error, PASSWORD_RESET_CODES))
+        return new PasswordResetRequiredError(message, options);
+
+    if (matches(error, CANCELLED_CODES))
+        return new LoginCancelledError(message, options);
+
+    if (error instanceof InteractionRequiredAuthError || INTERACTION_CODES.includes(error.errorCode))
+        return new InteractionRequiredError(message, options);
+
+    if (NETWORK_CODES.includes(error.errorCode) || navigator.onLine === false)
+        return new NetworkError(message, options);
+
+    return new AuthError(message, options);
+}
@@ -1,7 +1,46 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { types } from './config';
+import { InteractionRequiredError } from './auth.errors';
 import { cacheAsyncCallback } from './cache.util';
-import { AuthenticationService, GraphService } from './services';
+import { evaluatePolicy } from './authorization.util';
+import { useAuthService, useGraphService } from './auth.context';
+import { createSecureClient } from './services';
+
+/**
+ * Whether account Graph data is available,
+ * as authentication is enabled or a
+ * development persona supplies it.
+ *
+ * @param {object} authService authentication service.
+ *
+ * @returns {boolean} true if account data can be retrieved.
+ */
+function hasAccountData(authService)
+{
+    return !authService.isDisabled() || !!authService.getPersona();
+}
+
+/**
+ * Caches an account Graph callback,
+ * prefixing key with account identifier.
+ * Development persona data isn't cached.
+ *
+ * @param {object} authService authentication service.
+ * @param {string} key cache key, without account prefix.
+ * @param {Function} callback Graph callback.
+ * @param {string} [ttl] cache config ttl name (infoCacheTtl or photoCacheTtl).
+ *
+ * @returns {Promise<any>} cached or callback result.
+ */
+function cacheAccountCallback(authService, key, callback, ttl = 'infoCacheTtl')
+{
+    if (authService.isDisabled())
+        return callback();
+
+    const { storage, maxEntries, [ttl]: duration } = authService.baseConfig.cache;
+
+    return cacheAsyncCallback(`${authService.getId()}.${key}`, callback, { ttl: duration, storage, maxEntries });
+}
 
 /**
  * Returns session state.
@@ -13,18 +52,44 @@ import { AuthenticationService, GraphService } from './services';
  */
 export function useAuthenticationState()
 {
-    const [ state, setState ] = useState(AuthenticationService.state);
+    const authService = useAuthService();
+    const [ state, setState ] = useState(authService.state);
 
     useEffect(() =>
     {
-        const id = AuthenticationService.observer.subscribe((newState) => setState(newState));
+        const id = authService.events.subscribe((newState) => setState(newState));
 
-        return () => AuthenticationService.observer.unsubscribe(id);
-    }, [ ]);
+        return () => authService.events.unsubscribe(id);
+    }, [ authService ]);
 
     return state;
 }
 
+/**
+ * Subscribes a handler to an authentication
+ * event while component is mounted.
+ *
+ * @export
+ *
+ * @param {string} type event type, from types.EVENT.
+ * @param {Function} handler event listener, receives event payload.
+ */
+export function useAuthEvent(type, handler)
+{
+    const authService = useAuthService();
+    const handlerRef = useRef(handler);
+
+    // avoids resubscription on every render.
+    handlerRef.current = handler;
+
+    useEffect(() =>
+    {
+        const id = authService.events.on(type, (payload) => handlerRef.current?.(payload));
+
+        return () => authService.events.off(id);
+    }, [ authService, type ]);
+}
+
 /**
  * Returns login function and
  * current authentication state.
@@ -35,33 +100,256 @@ export function useAuthenticationState()
  *  Avoid using POPUP type on programatic/automatic login, should be used
  *  on user interaction (i.e. button push, page navigation triggered by user, etc.)
  *
- * @returns {Array<any>} login function and auth state
- *  (authenticated, authenticating and error).
+ * @returns {Function} login function, rejects
+ *  with AuthError (i.e. LoginCancelledError).
  */
 export function useLogin(loginType = types.LOGIN_TYPE.REDIRECT)
 {
-    return () => AuthenticationService.login({ type: loginType });
+    const authService = useAuthService();
+
+    return () => authService.login({ type: loginType });
 }
 
 /**
- * Returns logout function and
- * current authentication state.
+ * Exposes B2C profile edition
+ * flow, using editProfile policy
+ * from b2c config.
  *
  * @export
  *
- * @returns {Array<any>} logout function and auth state
- *  (only authenticated).
+ * @param {string} [loginType] login type (redirect or popup).
+ *
+ * @returns {Function} edit profile function, rejects with AuthError
+ *  on failure or if editProfile policy isn't configured.
  */
-export function useLogout()
+export function useEditProfile(loginType = types.LOGIN_TYPE.REDIRECT)
 {
+    const authService = useAuthService();
+
+    return () => authService.editProfile({ type: loginType });
+}
+
+/**
+ * Returns logout function, executing
+ * onBeforeLogout callbacks and removing
+ * library cache entries before logout.
+ *
+ * @export
+ *
+ * @param {object} [options] logout options.
+ * @param {string} [options.type] logout interaction type
+ *  (types.INTERACTION_TYPE redirect or popup).
+ * @param {boolean} [options.localOnly] whether account is only removed from
+ *  this app cache, without ending Active Directory session.
+ *
+ * @returns {Function} logout function.
+ */
+export function useLogout({ type, localOnly } = {})
+{
+    const authService = useAuthService();
+
     return () =>
     {
-        if (AuthenticationService.isAuthenticated())
+        if (authService.isAuthenticated())
+            return authService.logout({ type, localOnly });
+
+        return Promise.resolve();
+    };
+}
+
+/**
+ * Registers an app cleanup callback,
+ * executed before logout, while
+ * component is mounted.
+ *
+ * @export
+ *
+ * @param {Function} callback cleanup callback, receiving signed out account.
+ */
+export function useBeforeLogout(callback)
+{
+    const authService = useAuthService();
+    const callbackRef = useRef(callback);
+
+    // avoids registering on every render.
+    callbackRef.current = callback;
+
+    useEffect(() => authService.onBeforeLogout((account) => callbackRef.current?.(account)), [ authService ]);
+}
+
+/**
+ * Returns signed in accounts, the active
+ * one, and functions for switch the active
+ * account or sign in another account.
+ *
+ * @export
+ *
+ * @param {string} [loginType] login type for add account (redirect or popup).
+ *
+ * @returns {object} accounts, activeAccount,
+ *  setActiveAccount and addAccount.
+ */
+export function useAccounts(loginType = types.LOGIN_TYPE.POPUP)
+{
+    const authService = useAuthService();
+    const { accountId } = useAuthenticationState();
+
+    const accounts = useMemo(() => authService.getAllAccounts(), [ accountId ]);
+    const activeAccount = useMemo(() => authService.getAccount(), [ accountId ]);
+
+    return {
+        accounts,
+        activeAccount,
+        setActiveAccount: (account) => authService.setActiveAccount(account),
+        addAccount: () => authService.addAccount({ type: loginType })
+    };
+}
+
+// user activity DOM events.
+const ACTIVITY_EVENTS = [ 'mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll' ];
+
+/**
+ * Reads last user activity
+ * shared by other tabs.
+ *
+ * @param {string} key storage key.
+ *
+ * @returns {number} last activity timestamp, or 0 if storage is unavailable.
+ */
+function readSharedActivity(key)
+{
+    try
+    {
+        return +window.localStorage.getItem(key) || 0;
+    }
+    catch
+    {
+        // storage unavailable, only this tab activity is used.
+        return 0;
+    }
+}
+
+/**
+ * Signs out automatically after user
+ * inactivity, clearing the cache.
+ * Activity is shared across tabs, so an
+ * active tab keeps alive the others.
+ *
+ * @export
+ *
+ * @param {object} [options] options.
+ * @param {number} [options.timeout] inactivity time in milliseconds before sign out.
+ * @param {number} [options.warningBefore] milliseconds before timeout for warning.
+ * @param {Function} [options.onWarning] called on warning start, receives remaining time.
+ * @param {Function} [options.onTimeout] called before sign out.
+ * @param {Array<string>} [options.events] DOM events considered as user activity.
+ *
+ * @returns {object} warning (bool), remaining (milliseconds,
+ *  only while warning) and reset function for keep session alive.
+ */
+export function useIdleTimeout({
+    timeout = 15 * 60 * 1000,
+    warningBefore = 60 * 1000,
+    onWarning,
+    onTimeout,
+    events = ACTIVITY_EVENTS
+} = {})
+{
+    const authService = useAuthService();
+    const { authenticated } = useAuthenticationState();
+
+    const [ warning, setWarning ] = useState(false);
+    const [ remaining, setRemaining ] = useState(null);
+
+    const callbacks = useRef();
+    const lastActivity = useRef(Date.now());
+
+    // avoids resubscription on every render.
+    callbacks.current = { onWarning, onTimeout };
+
+    const key = `msal.${authService.baseConfig?.auth.clientId ?? 'default'}.activity`;
+
+    const reset = useCallback(() =>
+    {
+        const now = Date.now();
+
+        // throttles storage writes.
+        if (now - lastActivity.current < 1000)
+            return;
+
+        lastActivity.current = now;
+
+        try
         {
-            AuthenticationService.clearCache();
-            AuthenticationService.logout();
+            window.localStorage.setItem(key, `${now}`);
         }
-    };
+        catch
+        {
+            // storage unavailable, activity isn't shared.
+        }
+    }, [ key ]);
+
+    useEffect(() =>
+    {
+        if (!authenticated || authService.isDisabled())
+            return;
+
+        let warned = false;
+        let timedOut = false;
+
+        lastActivity.current = 0;
+        reset();
+
+        const tick = () =>
+        {
+            const shared = readSharedActivity(key);
+            const left = Math.max(lastActivity.current, shared) + timeout - Date.now();
+
+            if (left <= 0)
+            {
+                if (timedOut)
+                    return;
+
+                timedOut = true;
+                setRemaining(0);
+                callbacks.current.onTimeout?.();
+
+                // logout takes active account before cache
+                // clearing, that removes every other account.
+                authService.logout().catch(() => null);
+                authService.clearCache().catch(() => null);
+            }
+            else if (left <= warningBefore)
+            {
+                if (!warned)
+                {
+                    warned = true;
+                    setWarning(true);
+                    callbacks.current.onWarning?.(left);
+                }
+
+                setRemaining(left);
+            }
+            else if (warned)
+            {
+                warned = false;
+                setWarning(false);
+                setRemaining(null);
+            }
+        };
+
+        const interval = setInterval(tick, 1000);
+
+        events.forEach((event) => window.addEventListener(event, reset, { passive: true }));
+
+        return () =>
+        {
+            clearInterval(interval);
+            events.forEach((event) => window.removeEventListener(event, reset));
+        };
+    }, [ authenticated, authService, timeout, warningBefore, reset ]);
+
+    return { warning, remaining, reset };
 }
 
 /**
@@ -74,18 +362,21 @@ export function useLogout()
  * @param {string} [options.loginType] login type (redirect or popup).
  *  Avoid using POPUP type on programatic/automatic login, should be used
  *  on user interaction (i.e. button push, page navigation triggered by user, etc.)
+ * @param {string} [options.returnUrl] URL navigated after redirect login, current URL by default.
  *
  * @returns {object} authenticating (bool),
  *  authenticated (bool) and error (Error) data.
  */
-export function useAuthentication({ loginType = types.LOGIN_TYPE.REDIRECT } = {})
+export function useAuthentication({ loginType = types.LOGIN_TYPE.REDIRECT, returnUrl } = {})
 {
+    const authService = useAuthService();
     const { authenticating, authenticated, error } = useAuthenticationState();
 
     useEffect(() =>
     {
+        // login errors are exposed in session state.
         if (!authenticated && !error)
-            AuthenticationService.login({ type: loginType });
+            authService.login({ type: loginType, returnUrl }).catch(() => null);
     }, [ authenticated ]);
 
     return { authenticating, authenticated, error };
@@ -100,25 +391,191 @@ export function useAuthentication({ loginType = types.LOGIN_TYPE.REDIRECT } = {}
  *
  * @param {boolean} [forceTokenRefresh] forces to renew token from active directory.
  *
- * @returns {Function} acquireToken.
+ * @returns {Function} acquireToken, rejects with AuthError
+ *  (i.e. NetworkError or AuthDisabledError).
  */
 export function useAcquireToken(forceTokenRefresh = false)
 {
-    return () => AuthenticationService.acquireToken({ forceTokenRefresh });
+    const authService = useAuthService();
+
+    return () => authService.acquireToken({ forceTokenRefresh });
+}
+
+/**
+ * Acquires an access token for a scopes set,
+ * re-acquiring it before its expiration.
+ * Is reacquired on active account or scopes change.
+ *
+ * When consent or interaction is required, runs
+ * an interactive flow if interactive is defined,
+ * or reports it as interactionRequired, so
+ * requestConsent can be called on user interaction.
+ *
+ * @export
+ *
+ * @param {object} [options] options.
+ * @param {Array<string>} [options.scopes] permission scopes, user.read
+ *  (or application scope in B2C) by default.
+ * @param {string|boolean} [options.interactive] interaction type when interaction
+ *  is required (types.INTERACTION_TYPE), or false for report it.
+ *
+ * @returns {object} token, expiresOn, loading, error, interactionRequired,
+ *  refresh (forces renewal) and requestConsent (acquires token using popup).
+ */
+export function useAccessToken({ scopes: requestedScopes, interactive = false } = {})
+{
+    const authService = useAuthService();
+    const scopes = requestedScopes ?? authService.getDefaultScopes();
+    const { authenticated, accountId } = useAuthenticationState();
+    const canExec = !authService.isDisabled() && authenticated;
+    const scopesKey = [ ...scopes ].sort().join(' ');
+
+    const [ result, setResult ] = useState();
+    const [ error, setError ] = useState();
+    const [ loading, setLoading ] = useState(canExec);
+
+    // ignores responses from previous acquisitions.
+    const request = useRef(0);
+
+    const acquire = useCallback(({ forceTokenRefresh = false, popup = false } = {}) =>
+    {
+        const id = ++request.current;
+
+        setLoading(true);
+        setError(undefined);
+
+        const acquisition = popup
+            ? authService.acquireTokenPopup({ scopes })
+            : authService.acquireToken({ scopes, forceTokenRefresh, interactive });
+
+        // errors are exposed in hook state.
+        return acquisition
+            .then((response) => id === request.current && setResult(response))
+            .catch((error) => id === request.current && setError(error))
+            .finally(() => id === request.current && setLoading(false));
+    }, [ authService, scopesKey, interactive ]);
+
+    useEffect(() =>
+    {
+        if (canExec)
+        {
+            acquire();
+        }
+        else
+        {
+            request.current++;
+            setResult(undefined);
+            setLoading(false);
+        }
+    }, [ authenticated, accountId, acquire ]);
+
+    // re-acquires token before its expiration.
+    useEffect(() =>
+    {
+        if (!result?.expiresOn)
+            return undefined;
+
+        const offset = authService.baseConfig.system.tokenRenewalOffsetSeconds * 1000;
+        const delay = new Date(result.expiresOn).getTime() - offset - Date.now();
+        const timer = setTimeout(() => acquire({ forceTokenRefresh: true }), Math.max(delay, 0));
+
+        return () => clearTimeout(timer);
+    }, [ result, acquire ]);
+
+    // ignores pending acquisitions on unmount.
+    useEffect(() => () => request.current++, []);
+
+    return {
+        token: result?.accessToken,
+        expiresOn: result?.expiresOn,
+        loading,
+        error,
+        interactionRequired: error instanceof InteractionRequiredError,
+        refresh: () => acquire({ forceTokenRefresh: true }),
+        requestConsent: () => acquire({ popup: true })
+    };
+}
+
+/**
+ * Returns an axios instance that attaches
+ * access tokens to protected resources
+ * requests, using protectedResourceMap config.
+ *
+ * @export
+ *
+ * @param {object} [config] axios instance config.
+ *
+ * @returns {object} axios instance.
+ */
+export function useSecureClient(config)
+{
+    const authService = useAuthService();
+
+    return useMemo(() => createSecureClient(config, authService), [ authService ]);
+}
+
+/**
+ * Evaluates an authorization policy
+ * against current account roles and claims.
+ * Is reevaluated on every session change.
+ *
+ * When authentication is disabled,
+ * every policy is authorized, unless a
+ * development persona is set.
+ *
+ * @export
+ *
+ * @param {object} [policy] authorization policy.
+ * @param {string|Array<string>} [policy.roles] allowed roles, account should has at least one.
+ * @param {Array<string>} [policy.anyOf] account should has at least one of these roles.
+ * @param {Array<string>} [policy.allOf] account should has every one of these roles.
+ * @param {object} [policy.claims] required claims, as claim name and expected
+ *  value, array of accepted values or predicate function.
+ *
+ * @returns {object} authorized (bool), authenticated (bool),
+ *  authenticating (bool), roles and claims.
+ */
+export function useAuthorization(policy)
+{
+    const authService = useAuthService();
+    const { authenticated, authenticating } = useAuthenticationState();
+
+    const roles = authService.getRoles() ?? [];
+    const claims = authService.getClaims() ?? {};
+
+    const authorized = (authService.isDisabled() && !authService.getPersona())
+        || (!!authenticated && evaluatePolicy(policy, { roles, claims }));
+
+    return { authorized, authenticated, authenticating, roles, claims };
 }
 
 /**
  * Retrieves Active Directory
  * account info from Graph Service.
+ * Is reloaded on active account
+ * or selection change.
+ *
+ * Every selection is cached
+ * separately.
  *
  * @export
  *
+ * @param {object} [options] account info options, accountInfo config by default.
+ * @param {string|Array<string>} [options.select] profile attributes.
+ * @param {string|Array<string>} [options.expand] related entities, i.e. 'manager'.
+ * @param {Array<string>} [options.extensionAttributes] directory extension attributes.
+ *
  * @returns {object} loading, error and info properties.
  */
-export function useAccountInfo()
+export function useAccountInfo(options)
 {
-    const { authenticated } = useAuthenticationState();
-    const canExec = !AuthenticationService.isDisabled() && authenticated;
+    const authService = useAuthService();
+    const graphService = useGraphService();
+    const { authenticated, accountId } = useAuthenticationState();
+    const canExec = hasAccountData(authService) && authenticated;
+    const queryKey = Object.entries(graphService.accountInfoQuery(options))
+        .map(([ key, value ]) => `${key}=${value}`)
+        .join('&');
 
     const [ info, setInfo ] = useState();
     const [ error, setError ] = useState();
@@ -126,23 +583,22 @@ export function useAccountInfo()
 
     useEffect(() =>
     {
+        let active = true;
+
         if (canExec)
         {
-            const { cacheLocation, infoCacheDurationInDays } = AuthenticationService.baseConfig.cache;
+            setLoading(true);
+            setError(undefined);
 
-            cacheAsyncCallback(
-                `msal.${AuthenticationService.getId()}.info`,
-                GraphService.me(),
-                {
-                    expirationInDays: infoCacheDurationInDays,
-                    storageType: cacheLocation
-                }
-            )
-                .then((user) => setInfo(user))
-                .catch((error) => setError(error))
-                .finally(() => setLoading(false));
+            cacheAccountCallback(authService, `info?${queryKey}`, () => graphService.me(options))
+                .then((user) => active && setInfo(user))
+                .catch((error) => active && setError(error))
+                .finally(() => active && setLoading(false));
         }
-    }, [ authenticated ]);
+
+        // ignores responses from previous account or selection.
+        return () => active = false;
+    }, [ authenticated, accountId, queryKey ]);
 
     return { loading, info, error };
 }
@@ -150,17 +606,20 @@ export function useAccountInfo()
 /**
  * Retrieves Active Directory
  * user photograph from Graph Service.
+ * Is reloaded on active account change.
  *
  * @export
  *
  * @param {string} [size] photo size.
-
+ *
  * @returns {object} loading, error and photo (base64) properties.
  */
 export function useAccountAvatar(size = '648x648')
 {
-    const { authenticated } = useAuthenticationState();
-    const canExec = !AuthenticationService.isDisabled() && authenticated;
+    const authService = useAuthService();
+    const graphService = useGraphService();
+    const { authenticated, accountId } = useAuthenticationState();
+    const canExec = hasAccountData(authService) && authenticated;
 
     const [ avatar, setAvatar ] = useState();
     const [ error, setError ] = useState();
@@ -168,23 +627,357 @@ export function useAccountAvatar(size = '648x648')
 
     useEffect(() =>
     {
+        let active = true;
+
+        if (canExec)
+        {
+            setLoading(true);
+            setError(undefined);
+
+            cacheAccountCallback(authService, `avatar${size}`, () => graphService.photoWithSize(size), 'photoCacheTtl')
+                .then((photo) => active && setAvatar(photo))
+                .catch((error) => active && setError(error))
+                .finally(() => active && setLoading(false));
+        }
+
+        // ignores responses from previous account.
+        return () => active = false;
+    }, [ authenticated, accountId ]);
+
+    return { loading, avatar, error };
+}
+
+/**
+ * Queries a Microsoft Graph resource
+ * using OData query options, caching
+ * first page like account info.
+ * Is reloaded on active account,
+ * path or query change.
+ *
+ * @export
+ *
+ * @param {string} path Graph resource, i.e. 'users', or null for skip query.
+ * @param {object} [query] OData query options.
+ * @param {string|Array<string>} [query.select] properties to retrieve.
+ * @param {string} [query.filter] filter expression.
+ * @param {string|Array<string>} [query.expand] related entities to include.
+ * @param {string|Array<string>} [query.orderBy] properties to sort by.
+ * @param {number} [query.top] page size.
+ * @param {string} [query.search] search expression.
+ * @param {boolean} [query.count] whether total count is included.
+ * @param {string} [query.consistencyLevel] consistency level, 'eventual'
+ *  by default for search and count queries.
+ * @param {boolean} [query.cache] whether first page is cached (default true).
+ * @param {number} [query.ttl] cache expiration in milliseconds, infoCacheTtl by default.
+ *
+ * @returns {object} loading, error, data, hasNextPage,
+ *  loadingNextPage and fetchNextPage properties.
+ */
+export function useGraphQuery(path, { cache = true, ttl, ...query } = {})
+{
+    const authService = useAuthService();
+    const graphService = useGraphService();
+    const { authenticated, accountId } = useAuthenticationState();
+    const canExec = !authService.isDisabled() && authenticated && !!path;
+    const queryKey = JSON.stringify(query);
+
+    const [ data, setData ] = useState();
+    const [ error, setError ] = useState();
+    const [ loading, setLoading ] = useState(canExec);
+    const [ loadingNextPage, setLoadingNextPage ] = useState(false);
+
+    // ignores responses from previous queries.
+    const request = useRef(0);
+
+    useEffect(() =>
+    {
+        const id = ++request.current;
+
+        setLoadingNextPage(false);
+
+        if (canExec)
+        {
+            setLoading(true);
+            setError(undefined);
+
+            const { storage, maxEntries, infoCacheTtl } = authService.baseConfig.cache;
+            const execute = () => graphService.query(path, query);
+
+            (cache
+                ? cacheAsyncCallback(
+                    `${authService.getId()}.query.${path}?${queryKey}`,
+                    execute,
+                    { ttl: ttl ?? infoCacheTtl, storage, maxEntries }
+                )
+                : execute())
+                .then((page) => id === request.current && setData(page))
+                .catch((error) => id === request.current && setError(error))
+                .finally(() => id === request.current && setLoading(false));
+        }
+        else
+        {
+            setData(undefined);
+            setLoading(false);
+        }
+
+        return () => request.current++;
+    }, [ authenticated, accountId, path, queryKey, cache, ttl ]);
+
+    const fetchNextPage = useCallback(async () =>
+    {
+        const id = request.current;
+
+        if (!data?.['@odata.nextLink'])
+            return;
+
+        setLoadingNextPage(true);
+
+        try
+        {
+            const page = await graphService.fetchNextPage(data, query);
+
+            if (id === request.current)
+                setData({ ...page, value: [ ...data.value, ...page.value ] });
+        }
+        catch (error)
+        {
+            if (id === request.current)
+                setError(error);
+        }
+        finally
+        {
+            if (id === request.current)
+                setLoadingNextPage(false);
+        }
+    }, [ data, queryKey ]);
+
+    return {
+        loading,
+        data,
+        error,
+        hasNextPage: !!data?.['@odata.nextLink'],
+        loadingNextPage,
+        fetchNextPage
+    };
+}
+
+/**
+ * Retrieves current account groups
+ * identifiers, from groups claim or
+ * from Graph on groups overage.
+ * Graph memberships are cached like
+ * account info.
+ * Is reloaded on active account change.
+ *
+ * @export
+ *
+ * @param {object} [options] options.
+ * @param {boolean} [options.transitive] whether nested groups
+ *  memberships are included from Graph.
+ *
+ * @returns {object} loading, error and groups properties.
+ */
+export function useGroups({ transitive = false } = {})
+{
+    const authService = useAuthService();
+    const graphService = useGraphService();
+    const { authenticated, accountId } = useAuthenticationState();
+    const canExec = hasAccountData(authService) && authenticated;
+
+    const [ groups, setGroups ] = useState();
+    const [ error, setError ] = useState();
+    const [ loading, setLoading ] = useState(canExec);
+
+    useEffect(() =>
+    {
+        let active = true;
+
         if (canExec)
         {
-            const { cacheLocation, photoCacheDurationInDays } = AuthenticationService.baseConfig.cache;
+            setLoading(true);
+            setError(undefined);
+
+            const claimed = authService.getGroups();
+
+            (claimed
+                ? Promise.resolve(claimed)
+                : cacheAccountCallback(
+                    authService,
+                    `groups${transitive ? '.transitive' : ''}`,
+                    () => graphService.getGroups({ transitive })
+                ))
+                .then((ids) => active && setGroups(ids))
+                .catch((error) => active && setError(error))
+                .finally(() => active && setLoading(false));
+        }
+
+        // ignores responses from previous account.
+        return () => active = false;
+    }, [ authenticated, accountId, transitive ]);
+
+    return { loading, groups, error };
+}
+
+/**
+ * Executes and caches a Graph callback
+ * for current account, like account info.
+ * Is reloaded on active account or key change.
+ *
+ * @param {string} key cache key, without account prefix, or null for skip.
+ * @param {Function} callback Graph callback.
+ * @param {object} [options] options.
+ * @param {string} [options.ttl] cache config ttl name (infoCacheTtl or photoCacheTtl).
+ * @param {string} [options.storage] storage type, cache config storage by default.
+ *
+ * @returns {object} loading, error and data properties.
+ */
+function useCachedGraphCallback(key, callback, { ttl = 'infoCacheTtl', storage } = {})
+{
+    const authService = useAuthService();
+    const { authenticated, accountId } = useAuthenticationState();
+    const canExec = !authService.isDisabled() && authenticated && !!key;
+
+    const [ data, setData ] = useState();
+    const [ error, setError ] = useState();
+    const [ loading, setLoading ] = useState(canExec);
+
+    useEffect(() =>
+    {
+        let active = true;
+
+        if (canExec)
+        {
+            setLoading(true);
+            setError(undefined);
+
+            const { cache } = authService.baseConfig;
 
             cacheAsyncCallback(
-                `msal.${AuthenticationService.getId()}.avatar${size}`,
-                GraphService.photoWithSize(size),
-                {
-                    expirationInDays: photoCacheDurationInDays,
-                    storageType: cacheLocation
-                }
+                `${authService.getId()}.${key}`,
+                callback,
+                { ttl: cache[ttl], storage: storage ?? cache.storage, maxEntries: cache.maxEntries }
             )
-                .then((photo) => setAvatar(photo))
-                .catch((error) => setError(error))
-                .finally(() => setLoading(false));
+                .then((result) => active && setData(result))
+                .catch((error) => active && setError(error))
+                .finally(() => active && setLoading(false));
+        }
+        else
+        {
+            setData(undefined);
+            setLoading(false);
         }
-    }, [ authenticated ]);
 
-    return { loading, avatar, error };
+        // ignores responses from previous account or key.
+        return () => active = false;
+    }, [ authenticated, accountId, key ]);
+
+    return { loading, data, error };
+}
+
+/**
+ * Searches directory users by display
+ * name, mail or userPrincipalName,
+ * debouncing query changes.
+ * Results are cached in memory.
+ *
+ * @export
+ *
+ * @param {string} query search text.
+ * @param {object} [options] options.
+ * @param {number} [options.debounce] milliseconds waiting for query changes.
+ * @param {number} [options.minLength] min query length for searching.
+ * @param {string|Array<string>} [options.select] user attributes.
+ * @param {number} [options.top] max users.
+ *
+ * @returns {object} loading, error and users properties.
+ */
+export function useUserSearch(query, { debounce = 300, minLength = 2, select, top } = {})
+{
+    const graphService = useGraphService();
+    const [ term, setTerm ] = useState(query?.trim());
+
+    useEffect(() =>
+    {
+        const timer = setTimeout(() => setTerm(query?.trim()), debounce);
+
+        return () => clearTimeout(timer);
+    }, [ query, debounce ]);
+
+    const enabled = !!term && term.length >= minLength;
+    const { loading, data, error } = useCachedGraphCallback(
+        enabled ? `search.${JSON.stringify({ term, select, top })}` : null,
+        () => graphService.searchUsers(term, { select, top }),
+        { storage: types.CACHE.MEMORY }
+    );
+
+    return { loading: loading || (enabled && term !== query?.trim()), users: enabled ? data ?? [] : [], error };
+}
+
+/**
+ * Retrieves any user photo,
+ * cached like account avatar.
+ *
+ * @export
+ *
+ * @param {string} userId user identifier or userPrincipalName.
+ * @param {string} [size] photo size, like useAccountAvatar.
+ *
+ * @returns {object} loading, error and photo (base64, or null
+ *  if user has no photo) properties.
+ */
+export function useUserPhoto(userId, size = '648x648')
+{
+    const graphService = useGraphService();
+    const { loading, data, error } = useCachedGraphCallback(
+        userId ? `photo.${userId}.${size}` : null,
+        () => graphService.userPhoto(userId, size),
+        { ttl: 'photoCacheTtl' }
+    );
+
+    return { loading, photo: data, error };
+}
+
+/**
+ * Retrieves current account manager,
+ * cached like account info.
+ *
+ * @export
+ *
+ * @param {object} [options] options.
+ * @param {string|Array<string>} [options.select] user attributes.
+ *
+ * @returns {object} loading, error and manager (null
+ *  if account has no manager) properties.
+ */
+export function useManager({ select } = {})
+{
+    const graphService = useGraphService();
+    const { loading, data, error } = useCachedGraphCallback(
+        `manager.${select ?? ''}`,
+        () => graphService.manager({ select })
+    );
+
+    return { loading, manager: data, error };
+}
+
+/**
+ * Retrieves current account direct
+ * reports, cached like account info.
+ *
+ * @export
+ *
+ * @param {object} [options] options.
+ * @param {string|Array<string>} [options.select] user attributes.
+ *
+ * @returns {object} loading, error and directReports properties.
+ */
+export function useDirectReports({ select } = {})
+{
+    const graphService = useGraphService();
+    const { loading, data, error } = useCachedGraphCallback(
+        `directReports.${select ?? ''}`,
+        () => graphService.directReports({ select })
+    );
+
+    return { loading, directReports: data, error };
 }
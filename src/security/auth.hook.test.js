@@ -0,0 +1,222 @@
+import '@testing-library/jest-dom';
+import { act, render, screen, waitFor } from '@testing-library/react';
+import { createFakeGraph, createMockAuth } from '../testing';
+import { AuthProvider } from './auth.context';
+import { useAccessToken, useAccountInfo, useAuthorization, useIdleTimeout } from './auth.hook';
+import { createAuthenticationService } from './services';
+
+/**
+ * Signs out after idle timeout.
+ *
+ * @param {object} props idle timeout options.
+ *
+ * @returns {JSX.Element} nothing.
+ */
+function Idle(props)
+{
+    useIdleTimeout(props);
+
+    return null;
+}
+
+/**
+ * Renders account info
+ * loaded for a selection.
+ *
+ * @param {object} props component props.
+ * @param {string} props.select user attributes.
+ *
+ * @returns {JSX.Element} selection, once loaded.
+ */
+function Info({ select })
+{
+    const { info } = useAccountInfo({ select });
+
+    return info ? <p>{select}</p> : null;
+}
+
+describe('useAccountInfo', () =>
+{
+    const graph = createFakeGraph();
+
+    beforeAll(() => graph.install());
+    afterAll(() => graph.restore());
+
+    test('caches every selection with its own key', async () =>
+    {
+        const mock = createMockAuth();
+        const selects = () => graph.requests.filter(({ path }) => path === 'me').map(({ query }) => query.$select);
+        const app = (
+            <AuthProvider service={ mock.service }>
+                <Info select='id,displayName' />
+                <Info select='id,mail' />
+            </AuthProvider>
+        );
+
+        const { unmount } = render(app);
+
+        expect(await screen.findByText('id,displayName')).toBeInTheDocument();
+        expect(await screen.findByText('id,mail')).toBeInTheDocument();
+        expect(selects().sort()).toEqual([ 'id,displayName', 'id,mail' ]);
+
+        unmount();
+        render(app);
+
+        expect(await screen.findByText('id,displayName')).toBeInTheDocument();
+        expect(await screen.findByText('id,mail')).toBeInTheDocument();
+        expect(selects()).toHaveLength(2);
+    });
+});
+
+/**
+ * Exposes persona profile
+ * and admin authorization.
+ *
+ * @param {object} props component props.
+ * @param {Function} props.onPersona receives profile and authorization.
+ *
+ * @returns {JSX.Element} nothing.
+ */
+function Persona({ onPersona })
+{
+    const { info } = useAccountInfo();
+    const { authorized } = useAuthorization({ roles: 'Admin' });
+
+    onPersona({ name: info?.displayName, authorized });
+
+    return null;
+}
+
+describe('development persona', () =>
+{
+    test('switches persona at runtime', async () =>
+    {
+        let persona;
+        const service = createAuthenticationService();
+
+        service.init({ devPersona: { id: '00000000-0000-0000-0000-000000000011', name: 'Ada Admin', roles: [ 'Admin' ] } }, true);
+
+        render(<AuthProvider service={ service }><Persona onPersona={ (value) => persona = value } /></AuthProvider>);
+
+        await waitFor(() => expect(persona).toEqual({ name: 'Ada Admin', authorized: true }));
+
+        act(() =>
+        {
+            service.setPersona({ id: '00000000-0000-0000-0000-000000000012', name: 'Rita Reader', roles: [ 'Reader' ] });
+        });
+
+        await waitFor(() => expect(persona).toEqual({ name: 'Rita Reader', authorized: false }));
+        expect(service.getAccount().name).toBe('Rita Reader');
+    });
+});
+
+/**
+ * Exposes access token hook state.
+ *
+ * @param {object} props component props.
+ * @param {Function} props.onToken receives hook state.
+ *
+ * @returns {JSX.Element} nothing.
+ */
+function Token({ onToken })
+{
+    onToken(useAccessToken());
+
+    return null;
+}
+
+describe('useAccessToken', () =>
+{
+    beforeEach(() => jest.useFakeTimers('modern'));
+
+    afterEach(() =>
+    {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('re-acquires token before its expiration', async () =>
+    {
+        let state;
+        const mock = createMockAuth();
+        const acquireToken = jest.spyOn(mock.service, 'acquireToken');
+        const offset = mock.service.baseConfig.system.tokenRenewalOffsetSeconds * 1000;
+
+        render(<AuthProvider service={ mock.service }><Token onToken={ (value) => state = value } /></AuthProvider>);
+
+        await act(() => acquireToken.mock.results[0].value);
+
+        expect(state.token).toBeDefined();
+        expect(acquireToken).toHaveBeenCalledTimes(1);
+
+        await act(async () =>
+        {
+            jest.advanceTimersByTime(new Date(state.expiresOn).getTime() - offset - Date.now());
+        });
+
+        expect(acquireToken).toHaveBeenCalledTimes(2);
+        expect(acquireToken).toHaveBeenLastCalledWith(expect.objectContaining({ forceTokenRefresh: true }));
+    });
+
+    test('reports interaction required and requests consent using popup', async () =>
+    {
+        let state;
+        const mock = createMockAuth();
+        const acquireToken = jest.spyOn(mock.service, 'acquireToken');
+        const acquireTokenPopup = jest.spyOn(mock.service, 'acquireTokenPopup');
+
+        mock.simulateTokenFailure();
+
+        render(<AuthProvider service={ mock.service }><Token onToken={ (value) => state = value } /></AuthProvider>);
+
+        await act(() => acquireToken.mock.results[0].value.catch(() => null));
+
+        expect(state.interactionRequired).toBe(true);
+        expect(state.token).toBeUndefined();
+
+        await act(() => state.requestConsent());
+
+        expect(acquireTokenPopup).toHaveBeenCalled();
+        expect(state.interactionRequired).toBe(false);
+        expect(state.token).toBeDefined();
+    });
+});
+
+describe('useIdleTimeout', () =>
+{
+    beforeEach(() => jest.useFakeTimers('modern'));
+
+    afterEach(() =>
+    {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('times out when storage is blocked', () =>
+    {
+        const mock = createMockAuth();
+        const onTimeout = jest.fn();
+        const logout = jest.spyOn(mock.service, 'logout').mockResolvedValue();
+        const clearCache = jest.spyOn(mock.service, 'clearCache').mockResolvedValue();
+
+        jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() =>
+        {
+            throw new Error('Access denied.');
+        });
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() =>
+        {
+            throw new Error('Access denied.');
+        });
+
+        render(<AuthProvider service={ mock.service }><Idle timeout={ 5000 } warningBefore={ 1000 } onTimeout={ onTimeout } /></AuthProvider>);
+
+        act(() =>
+        {
+            jest.advanceTimersByTime(6000);
+        });
+
+        expect(onTimeout).toHaveBeenCalledTimes(1);
+        expect(logout).toHaveBeenCalledTimes(1);
+        expect(clearCache).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Authorization policies evaluation
+ * from account roles and claims.
+ *
+ * @summary Authorization util.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 11:02:45
+ * Last modified  : 2026-10-19 11:02:45
+ */
+
+/**
+ * Normalizes a value or
+ * list of values to array.
+ *
+ * @param {any} value value or array of values.
+ *
+ * @returns {Array<any>} array of values.
+ */
+function toArray(value)
+{
+    if (value === undefined || value === null)
+        return [];
+
+    return Array.isArray(value) ? value : [ value ];
+}
+
+/**
+ * Whether a claim value matches
+ * the expected value. If claim value
+ * is an array (i.e. groups), matches
+ * if any item matches.
+ *
+ * @param {any} value account claim value.
+ * @param {any} expected expected value, array
+ *  of accepted values or predicate function.
+ *
+ * @returns {boolean} true if claim matches.
+ */
+function matchClaim(value, expected)
+{
+    if (typeof expected === 'function')
+        return !!expected(value);
+
+    if (value === undefined || value === null)
+        return false;
+
+    const accepted = toArray(expected);
+
+    return toArray(value).some((item) => accepted.includes(item));
+}
+
+/**
+ * Evaluates an authorization policy
+ * against account roles and claims.
+ *
+ * Every defined condition should be
+ * satisfied for authorize the account.
+ *
+ * @export
+ *
+ * @param {object} [policy] authorization policy.
+ * @param {string|Array<string>} [policy.roles] allowed roles, account should has at least one.
+ * @param {Array<string>} [policy.anyOf] account should has at least one of these roles.
+ * @param {Array<string>} [policy.allOf] account should has every one of these roles.
+ * @param {object} [policy.claims] required claims, as claim name and expected
+ *  value, array of accepted values or predicate function.
+ * @param {object} [account] account data.
+ * @param {Array<string>} [account.roles] account roles.
+ * @param {object} [account.claims] account claims.
+ *
+ * @returns {boolean} true if authorized.
+ */
+export function evaluatePolicy({ roles, anyOf, allOf, claims } = {}, account = {})
+{
+    const accountRoles = toArray(account.roles);
+    const accountClaims = account.claims ?? {};
+    const hasRole = (role) => accountRoles.includes(role);
+
+    const allowed = toArray(roles);
+
+    if (allowed.length > 0 && !allowed.some(hasRole))
+        return false;
+
+    const any = toArray(anyOf);
+
+    if (any.length > 0 && !any.some(hasRole))
+        return false;
+
+    if (!toArray(allOf).every(hasRole))
+        return false;
+
+    return Object.entries(claims ?? {})
+        .every(([ name, expected ]) => matchClaim(accountClaims[name], expected));
+}
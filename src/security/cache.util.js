@@ -1,102 +1,338 @@
 import { types } from './config';
+import { resolveStorage } from './storage.util';
+
+// default namespace for library-owned entries.
+export const CACHE_NAMESPACE = 'msal-security.';
+
+// LRU index key, sorted from least to most recently used.
+const LRU_KEY = '__lru__';
+
+// account info and photos entries from previous
+// versions, i.e. msal.{id}.info or msal.{id}.avatar{size}.
+const LEGACY_KEY = /^msal\..+\.(info|avatar\d+x\d+)$/;
+
+// day in milliseconds, for legacy expiration in days.
+const DAY = 24 * 60 * 60 * 1000;
+
+// callbacks in progress, by namespaced key.
+const pending = new Map();
+
+// last LRU index update, by namespace.
+const queues = new Map();
+
+/**
+ * Executes a task after previous
+ * namespace LRU index updates, so
+ * concurrent writes doesn't lose
+ * index entries.
+ *
+ * @param {string} namespace keys namespace.
+ * @param {Function} task async task.
+ *
+ * @returns {Promise<any>} task result.
+ */
+function serialize(namespace, task)
+{
+    const result = (queues.get(namespace) ?? Promise.resolve()).then(task);
+    const settled = result.catch(() => null);
+
+    queues.set(namespace, settled);
+    settled.then(() => queues.get(namespace) === settled && queues.delete(namespace));
+
+    return result;
+}
+
+/**
+ * Reads namespace entries
+ * LRU index.
+ *
+ * @param {object} storage storage adapter.
+ * @param {string} namespace keys namespace.
+ *
+ * @returns {Promise<Array<string>>} keys from least to most recently used.
+ */
+async function readIndex(storage, namespace)
+{
+    return (await storage.get(`${namespace}${LRU_KEY}`)) ?? [];
+}
+
+/**
+ * Moves a key to most recently
+ * used position in LRU index.
+ *
+ * @param {object} storage storage adapter.
+ * @param {string} namespace keys namespace.
+ * @param {string} key item key.
+ *
+ * @returns {Promise<Array<string>>} updated LRU index.
+ */
+async function touch(storage, namespace, key)
+{
+    const index = (await readIndex(storage, namespace)).filter((item) => item !== key);
+    index.push(key);
+
+    await storage.set(`${namespace}${LRU_KEY}`, index);
+
+    return index;
+}
+
+/**
+ * Evicts the least recently used
+ * entry from namespace.
+ *
+ * @param {object} storage storage adapter.
+ * @param {string} namespace keys namespace.
+ * @param {string} [keep] key that shouldn't be evicted.
+ *
+ * @returns {Promise<boolean>} true if an entry was evicted.
+ */
+async function evict(storage, namespace, keep)
+{
+    const index = await readIndex(storage, namespace);
+    const position = index.findIndex((item) => item !== keep);
+
+    if (position < 0)
+        return false;
+
+    const [ evicted ] = index.splice(position, 1);
+
+    await storage.remove(`${namespace}${evicted}`);
+    await storage.set(`${namespace}${LRU_KEY}`, index);
+
+    return true;
+}
+
+/**
+ * Whether error is a storage quota
+ * error, by DOMException name or
+ * legacy code (Firefox 1014).
+ *
+ * @param {Error} error storage error.
+ *
+ * @returns {boolean} true if storage is full.
+ */
+function isQuotaError(error)
+{
+    return error?.name === 'QuotaExceededError'
+        || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error?.code === 22
+        || error?.code === 1014;
+}
 
 /**
  * Writes a value to storage.
+ * On quota errors, evicts least
+ * recently used entries from
+ * namespace and retries.
  *
  * @param {string} key item key.
  * @param {any} value value for store.
- * @param {string} [storageType] storage type. Default is localStorage.
+ * @param {object} [options] options.
+ * @param {string|object} [options.storage] storage type or adapter. Default is localStorage.
+ * @param {string} [options.namespace] keys namespace.
+ * @param {number} [options.maxEntries] max entries in namespace.
+ *
+ * @throws {Error} on storage errors other than quota.
+ *
+ * @returns {Promise<boolean>} true if value was stored.
  */
-export function write(key, value, storageType = types.CACHE.LOCAL_STORAGE)
+export function write(key, value, { storage, namespace = CACHE_NAMESPACE, maxEntries = 50 } = {})
 {
-    try
-    {
-        if (!value)
-            window[storageType].setItem(key, value);
-        else
-            window[storageType].setItem(key, JSON.stringify(value));
-    }
-    catch
+    const adapter = resolveStorage(storage);
+
+    return serialize(namespace, async () =>
     {
-        window[storageType].clear();
-    }
+        let retry = true;
+
+        while (retry)
+        {
+            try
+            {
+                await adapter.set(`${namespace}${key}`, value ?? null);
+                const index = await touch(adapter, namespace, key);
+
+                for (let i = index.length; i > maxEntries; i--)
+                    await evict(adapter, namespace, key);
+
+                return true;
+            }
+            catch (error)
+            {
+                if (!isQuotaError(error))
+                    throw error;
+
+                // storage is full, frees space and retries.
+                retry = await evict(adapter, namespace, key);
+            }
+        }
+
+        return false;
+    });
 }
 
 /**
  * Reads a value from storage.
  *
  * @param {string} key item key.
- * @param {string} [storageType] storage type. Default is localStorage.
+ * @param {object} [options] options.
+ * @param {string|object} [options.storage] storage type or adapter. Default is localStorage.
+ * @param {string} [options.namespace] keys namespace.
  *
- * @returns {any} stored value.
+ * @returns {Promise<any>} stored value.
  */
-export function read(key, storageType = types.CACHE.LOCAL_STORAGE)
+export async function read(key, { storage, namespace = CACHE_NAMESPACE } = {})
 {
-    const data = window[storageType].getItem(key);
+    const adapter = resolveStorage(storage);
+    const data = await adapter.get(`${namespace}${key}`);
 
-    if (!data || data === 'null' || data === 'undefined' || data === '{}' || data === '[]')
+    if (data === null || data === undefined)
         return null;
 
-    return JSON.parse(data);
+    await serialize(namespace, () => touch(adapter, namespace, key)).catch(() => null);
+
+    return data;
 }
 
 /**
- * Calculates the date in
- * next days.
+ * Removes a value from storage.
  *
- * @param {number} days next days.
+ * @param {string} key item key.
+ * @param {object} [options] options.
+ * @param {string|object} [options.storage] storage type or adapter. Default is localStorage.
+ * @param {string} [options.namespace] keys namespace.
  *
- * @returns {Date} date in next days from now.
+ * @returns {Promise<void>} removal process.
  */
-function dateNextDays(days)
+export function remove(key, { storage, namespace = CACHE_NAMESPACE } = {})
 {
-    const date = new Date();
+    const adapter = resolveStorage(storage);
 
-    if (!days)
-        return null;
+    return serialize(namespace, async () =>
+    {
+        const index = await readIndex(adapter, namespace);
+
+        await adapter.remove(`${namespace}${key}`);
+        await adapter.set(`${namespace}${LRU_KEY}`, index.filter((item) => item !== key));
+    });
+}
+
+/**
+ * Removes every namespace entry
+ * from storage, including LRU index.
+ *
+ * @param {object} [options] options.
+ * @param {string|object} [options.storage] storage type or adapter. Default is localStorage.
+ * @param {string} [options.namespace] keys namespace.
+ *
+ * @returns {Promise<void>} clearing process.
+ */
+export function clear({ storage, namespace = CACHE_NAMESPACE } = {})
+{
+    const adapter = resolveStorage(storage);
+
+    return serialize(namespace, async () =>
+    {
+        const keys = (await adapter.keys()).filter((key) => key.startsWith(namespace));
+
+        await Promise.all(keys.map((key) => adapter.remove(key)));
+    });
+}
+
+/**
+ * Removes account info and photos entries
+ * stored without namespace by previous
+ * versions, from localStorage and
+ * sessionStorage.
+ *
+ * @returns {Promise<void>} clearing process.
+ */
+export function clearLegacy()
+{
+    const storages = [ types.CACHE.LOCAL_STORAGE, types.CACHE.SESSION_STORAGE ].map(async (storage) =>
+    {
+        const adapter = resolveStorage(storage);
+        const keys = (await adapter.keys()).filter((key) => LEGACY_KEY.test(key));
 
-    date.setDate(date.getDate() + days);
+        await Promise.all(keys.map((key) => adapter.remove(key)));
+    });
 
-    return date;
+    // storage may be unavailable.
+    return Promise.allSettled(storages).then(() => undefined);
 }
 
 /**
  * Persists the result from an asynchronous
  * callback, storing it in browser storage.
+ * Expired values are returned, but
+ * refreshed in background.
+ * Concurrent calls for the same key
+ * share the callback execution.
+ * Storage failures are cache misses.
  *
  * @param {string} key persisted value accessor.
- * @param {Promise<any>} promise async callback.
+ * @param {Function|Promise<any>} callback async callback, only
+ *  called if value isn't cached, or promise.
  * @param {object} [options] options.
- * @param {number} [options.expirationInDays] expiration in days.
- * @param {string} [options.storageType] storage type.
+ * @param {number} [options.ttl] expiration in milliseconds.
+ * @param {number} [options.expirationInDays] expiration in days, if ttl isn't defined.
+ * @param {string|object} [options.storage] storage type from types.CACHE or custom adapter.
+ * @param {string} [options.storageType] storage type, if storage isn't defined.
+ * @param {string} [options.namespace] keys namespace.
+ * @param {number} [options.maxEntries] max entries in namespace.
  *
  * @throws {Error} on non valid key.
  *
  * @returns {Promise<any>} cached/persisted value or promise result.
  */
-export async function cacheAsyncCallback(key, promise, { expirationInDays, storageType = types.CACHE.LOCAL_STORAGE } = {})
+export async function cacheAsyncCallback(key, callback, {
+    ttl,
+    expirationInDays,
+    storage,
+    storageType = types.CACHE.LOCAL_STORAGE,
+    namespace = CACHE_NAMESPACE,
+    maxEntries
+} = {})
 {
     if (!key)
         throw new Error('[key] is required.');
 
-    const cache = read(key, storageType);
+    const options = { storage: storage ?? storageType, namespace, maxEntries };
+    const duration = ttl ?? (expirationInDays ? expirationInDays * DAY : null);
+    const execute = () => (typeof callback === 'function' ? callback() : callback);
 
-    // optimistic data refresh.
-    if (cache?.expiration && new Date().getTime() > new Date(cache.expiration).getTime())
+    const persist = () =>
     {
-        // delayed data refresh from source.
-        (async () =>
+        const id = `${namespace}${key}`;
+
+        if (!pending.has(id))
         {
-            const data = await promise;
-            write(key, { expiration: dateNextDays(expirationInDays), data }, storageType);
-        })();
-    }
+            const promise = (async () =>
+            {
+                const data = await execute();
 
-    if (cache)
-        return Promise.resolve(cache.data);
+                // storage failures doesn't lose fetched data.
+                await write(key, { expiration: duration ? Date.now() + duration : null, data }, options)
+                    .catch(() => null);
 
-    const data = await promise;
-    write(key, { expiration: dateNextDays(expirationInDays), data }, storageType);
+                return data;
+            })();
 
-    return data;
+            pending.set(id, promise);
+            promise.then(() => pending.delete(id), () => pending.delete(id));
+        }
+
+        return pending.get(id);
+    };
+
+    // storage read failures are cache misses.
+    const cache = await read(key, options).catch(() => null);
+
+    if (!cache)
+        return persist();
+
+    // optimistic data refresh.
+    if (cache.expiration && Date.now() > new Date(cache.expiration).getTime())
+        persist().catch(() => null);
+
+    return cache.data;
 }
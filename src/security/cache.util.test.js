@@ -0,0 +1,134 @@
+import { cacheAsyncCallback, clear, clearLegacy, read, remove, write } from './cache.util';
+import { createMemoryStorage } from './storage.util';
+
+const LRU_KEY = 'test.__lru__';
+
+/**
+ * Returns namespace entries keys,
+ * without LRU index.
+ *
+ * @param {object} storage storage adapter.
+ *
+ * @returns {Promise<Array<string>>} sorted keys.
+ */
+async function entries(storage)
+{
+    return (await storage.keys()).filter((key) => key !== LRU_KEY).sort();
+}
+
+test('concurrent writes keeps max entries and complete index', async () =>
+{
+    const storage = createMemoryStorage();
+    const options = { storage, namespace: 'test.', maxEntries: 5 };
+    const keys = Array.from({ length: 10 }, (_, i) => `k${i}`);
+
+    await Promise.all(keys.map((key) => write(key, key, options)));
+
+    expect(await entries(storage)).toEqual([ 'test.k5', 'test.k6', 'test.k7', 'test.k8', 'test.k9' ]);
+    expect(await storage.get(LRU_KEY)).toEqual([ 'k5', 'k6', 'k7', 'k8', 'k9' ]);
+});
+
+test('evicts least recently used entry', async () =>
+{
+    const storage = createMemoryStorage();
+    const options = { storage, namespace: 'test.', maxEntries: 2 };
+
+    await write('a', 1, options);
+    await write('b', 2, options);
+    await read('a', options);
+    await write('c', 3, options);
+
+    expect(await read('a', options)).toBe(1);
+    expect(await read('b', options)).toBe(null);
+    expect(await storage.get(LRU_KEY)).toEqual([ 'c', 'a' ]);
+});
+
+test('concurrent reads, writes and removes keeps index consistent', async () =>
+{
+    const storage = createMemoryStorage();
+    const options = { storage, namespace: 'test.', maxEntries: 3 };
+
+    await Promise.all([
+        write('a', 1, options),
+        write('b', 2, options),
+        read('a', options),
+        remove('b', options),
+        write('c', 3, options),
+        write('d', 4, options)
+    ]);
+
+    const index = await storage.get(LRU_KEY);
+
+    expect(index).toEqual([ 'a', 'c', 'd' ]);
+    expect(await entries(storage)).toEqual(index.map((key) => `test.${key}`).sort());
+});
+
+test('clear removes every namespace entry', async () =>
+{
+    const storage = createMemoryStorage();
+
+    await storage.set('other', 1);
+    await Promise.all([ write('a', 1, { storage, namespace: 'test.' }), clear({ storage, namespace: 'test.' }) ]);
+
+    expect(await storage.keys()).toEqual([ 'other' ]);
+});
+
+test('concurrent cached callbacks shares execution', async () =>
+{
+    const storage = createMemoryStorage();
+    const callback = jest.fn(() => Promise.resolve('value'));
+
+    const results = await Promise.all([
+        cacheAsyncCallback('key', callback, { storage, namespace: 'test.' }),
+        cacheAsyncCallback('key', callback, { storage, namespace: 'test.' })
+    ]);
+
+    expect(results).toEqual([ 'value', 'value' ]);
+    expect(callback).toHaveBeenCalledTimes(1);
+});
+
+test('evicts entries on quota errors only', async () =>
+{
+    const storage = createMemoryStorage();
+    const options = { storage, namespace: 'test.' };
+    const set = storage.set.bind(storage);
+
+    await write('a', 1, options);
+
+    // storage is full once.
+    storage.set = jest.fn()
+        .mockRejectedValueOnce(new DOMException('Storage is full.', 'QuotaExceededError'))
+        .mockImplementation(set);
+
+    expect(await write('b', 2, options)).toBe(true);
+    expect(await entries(storage)).toEqual([ 'test.b' ]);
+
+    storage.set = jest.fn().mockRejectedValue(new Error('Storage is unavailable.'));
+
+    await expect(write('c', 3, options)).rejects.toThrow('Storage is unavailable.');
+    expect(await entries(storage)).toEqual([ 'test.b' ]);
+});
+
+test('cached callback returns data on storage failures', async () =>
+{
+    const storage = createMemoryStorage();
+    const failure = () => Promise.reject(new Error('Storage is unavailable.'));
+
+    storage.get = failure;
+    storage.set = failure;
+
+    expect(await cacheAsyncCallback('key', () => Promise.resolve('value'), { storage, namespace: 'test.' })).toBe('value');
+});
+
+test('clearLegacy removes previous versions entries only', async () =>
+{
+    const keys = [ 'msal.oid.tid.info', 'msal.oid.tid.avatar648x648', 'msal.account.keys', 'msal.client.activity' ];
+
+    keys.forEach((key) => window.localStorage.setItem(key, '{}'));
+    window.sessionStorage.setItem('msal.oid.tid.avatar48x48', '{}');
+
+    await clearLegacy();
+
+    expect(Object.keys(window.localStorage).sort()).toEqual([ 'msal.account.keys', 'msal.client.activity' ]);
+    expect(Object.keys(window.sessionStorage)).toEqual([]);
+});
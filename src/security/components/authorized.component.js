@@ -0,0 +1,26 @@
+import { useAuthorization } from '../auth.hook';
+
+/**
+ * Renders children only if current
+ * account satisfies the authorization
+ * policy, fallback in otherwise.
+ *
+ * @export
+ *
+ * @param {object} props component props.
+ * @param {string|Array<string>} [props.roles] allowed roles, account should has at least one.
+ * @param {Array<string>} [props.anyOf] account should has at least one of these roles.
+ * @param {Array<string>} [props.allOf] account should has every one of these roles.
+ * @param {object} [props.claims] required claims, as claim name and expected
+ *  value, array of accepted values or predicate function.
+ * @param {any} [props.fallback] rendered when account isn't authorized.
+ * @param {any} props.children rendered when account is authorized.
+ *
+ * @returns {JSX.Element} children or fallback.
+ */
+export function Authorized({ roles, anyOf, allOf, claims, fallback = null, children })
+{
+    const { authorized } = useAuthorization({ roles, anyOf, allOf, claims });
+
+    return (authorized ? children : fallback) ?? null;
+}
@@ -0,0 +1 @@
+export { Authorized } from './authorized.component';
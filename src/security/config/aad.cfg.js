@@ -1,7 +1,7 @@
 /**
  * MSAL Microsoft Authentication configuration file.
  *
- * @see https://azuread.github.io/microsoft-authentication-library-for-js/docs/msal/modules/_configuration_.html
+ * @see https://github.com/AzureAD/microsoft-authentication-library-for-js/blob/dev/lib/msal-browser/docs/configuration.md
  *
  * Azure Active Directory App Registration should
  * has 'user.read' and 'openid' (for access tokens)
@@ -11,80 +11,242 @@
  * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
  *
  * Created at     : 2020-04-15 19:51:39
- * Last modified  : 2020-12-04 15:19:24
+ * Last modified  : 2026-10-19 21:31:06
  */
 
+import validateConfig from './aad.schema';
 import types from './aad.types';
 
+// day in milliseconds.
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts graphRetry config
+ * to retry policy.
+ *
+ * @param {object|boolean} graphRetry retry policy, or false for disable retries.
+ *
+ * @returns {object} retry policy.
+ */
+function toRetryPolicy(graphRetry)
+{
+    if (graphRetry === false)
+        return { maxRetries: 0 };
+
+    return { ...graphRetry };
+}
+
+/**
+ * Converts b2c config to B2C
+ * domain, policies and its
+ * authorities URLs.
+ *
+ * @param {object} b2c B2C config.
+ * @param {string} [tenantId] tenant identifier, used as tenant path if defined.
+ *
+ * @returns {object} B2C config, or null if isn't B2C.
+ */
+function toB2CConfig(b2c, tenantId)
+{
+    if (!b2c)
+        return null;
+
+    const { tenantName, domain = `${tenantName}.b2clogin.com`, policies = {} } = b2c;
+    const base = `https://${domain}/${tenantId ?? `${tenantName}.onmicrosoft.com`}/`;
+
+    return {
+        tenantName,
+        domain,
+        policies,
+        authorities: Object.fromEntries(Object.entries(policies).map(([ key, policy ]) => [ key, `${base}${policy}` ]))
+    };
+}
+
+/**
+ * Converts cloud config to its
+ * login and Graph endpoints.
+ *
+ * @param {string|object} cloud cloud name (from types.CLOUD) or endpoints.
+ *
+ * @returns {object} cloud login and graph endpoints.
+ */
+function toCloud(cloud)
+{
+    if (cloud && typeof cloud === 'object')
+        return { ...types.CLOUD_ENDPOINTS[types.CLOUD.PUBLIC], ...cloud };
+
+    return { ...types.CLOUD_ENDPOINTS[cloud] ?? types.CLOUD_ENDPOINTS[types.CLOUD.PUBLIC] };
+}
+
+/**
+ * Resolves MSAL authority, from
+ * cloud and tenant or B2C sign-up/
+ * sign-in policy, and known authorities.
+ *
+ * @param {string} tenantId tenant identifier, or common, organizations or consumers.
+ * @param {object} cloud cloud endpoints.
+ * @param {object} [b2c] B2C config.
+ *
+ * @returns {object} authority and knownAuthorities.
+ */
+function toAuthority(tenantId, cloud, b2c)
+{
+    if (!b2c)
+        return { authority: `${cloud.login}${tenantId}`, knownAuthorities: [] };
+
+    return { authority: b2c.authorities.signUpSignIn, knownAuthorities: [ b2c.domain ] };
+}
+
 /**
  * Creates a config object for
  * MSAL authentication context.
+ * Config is validated first, and
+ * environment variables values
+ * (i.e. 'true' or 'null') are coerced.
  *
  * @export
  * @param {object} config MSAL auth config.
- * @param {string} config.tenantId organization Azure Object Id.
+ * @param {string} config.tenantId organization Azure Object Id, or common,
+ *  organizations or consumers (types.TENANT) for multi-tenant apps.
  * @param {string} config.clientId application Azure Object Id.
+ * @param {string|object} [config.cloud] Azure cloud (types.CLOUD public, usgov or china),
+ *  or custom login and graph endpoints.
+ * @param {string|Array<string>} [config.allowedTenants] tenants identifiers accepted
+ *  after login, for multi-tenant apps (every tenant if empty).
  * @param {string} [config.loginActionRedirect] redirect path after login.
  *  If navigateToRequestAfterLogin is false.
  * @param {string} [config.logoutActionRedirect] redirect path after logout.
- * @param {string} [config.tokenRefreshUri] path for renew auth token.
+ * @param {string} [config.tokenRefreshUri] path for renew auth token when refresh token is expired.
  *  Should be a empty page (null React component) and should be added to
  *  authentication routes in Azure App Registration.
  * @param {number} [config.tokenRenewalOffset] token renewal interval.
+ * @param {boolean} [config.autoRenewToken] whether acquired tokens are renewed
+ *  in background before its expiration (less tokenRenewalOffset).
+ * @param {boolean} [config.syncSession] whether session changes are synchronized across tabs.
+ * @param {boolean} [config.graphBatching] whether Graph requests made in the same tick are sent in JSON batches.
+ * @param {object|boolean} [config.graphRetry] Graph requests retry policy (maxRetries, baseDelay,
+ *  maxDelay and statuses), or false for disable retries.
  * @param {string} [config.navigateToRequestAfterLogin] whether app redirects to previous path after login.
  * @param {number} [config.infoCacheDurationInDays] days for store user info cached.
  * @param {number} [config.photoCacheDurationInDays] days for store user photo cached.
+ * @param {number} [config.infoCacheTtl] milliseconds for store user info cached, overrides days.
+ * @param {number} [config.photoCacheTtl] milliseconds for store user photo cached, overrides days.
+ * @param {string|object} [config.cacheStorage] storage type (from types.CACHE) or
+ *  custom adapter for library cache (user info and photos).
+ * @param {number} [config.cacheMaxEntries] max library cache entries, least recently used are evicted.
+ * @param {object|Map|Array} [config.protectedResourceMap] resources URLs and its scopes,
+ *  as object, Map or entries array, i.e. { 'https://api.contoso.com/': [ 'api://contoso/read' ] }.
+ * @param {Array<string>} [config.unprotectedResources] resources URLs without token attaching.
+ * @param {object} [config.accountInfo] account info retrieved by useAccountInfo, as profile
+ *  attributes (select, types.ATTRIBUTES by default), related entities (expand, i.e. 'manager')
+ *  and directory extension attributes (extensionAttributes, i.e. 'extension_{appId}_costCenter').
+ * @param {object|string} [config.b2c] Azure AD B2C config, as tenant name (tenantName, i.e. 'contoso'),
+ *  b2clogin or custom domain (domain, '{tenantName}.b2clogin.com' by default) and user-flow policies
+ *  names by key (policies, with signUpSignIn, passwordReset, editProfile or custom keys,
+ *  i.e. { signUpSignIn: 'B2C_1_signupsignin' }).
+ *
+ * @throws {ConfigurationError} if config has invalid or missing fields.
  *
  * @returns {object} MSAL config object.
  */
-export default function createConfig({
-    clientId,
-    tenantId,
-    loginActionRedirect = '/',
-    logoutActionRedirect = null,
-    tokenRefreshUri = '/auth',
-    tokenRenewalOffset = 120,
-    navigateToRequestAfterLogin = true,
-    infoCacheDurationInDays = 1,
-    photoCacheDurationInDays = 3
-})
+export default function createConfig(config)
 {
+    const {
+        clientId,
+        tenantId,
+        cloud = types.CLOUD.PUBLIC,
+        allowedTenants = [],
+        loginActionRedirect = '/',
+        logoutActionRedirect = null,
+        tokenRefreshUri = '/auth',
+        tokenRenewalOffset = 120,
+        autoRenewToken = false,
+        syncSession = true,
+        graphBatching = false,
+        graphRetry = {},
+        navigateToRequestAfterLogin = true,
+        infoCacheDurationInDays = 1,
+        photoCacheDurationInDays = 3,
+        infoCacheTtl,
+        photoCacheTtl,
+        cacheStorage = types.CACHE.LOCAL_STORAGE,
+        cacheMaxEntries = 50,
+        protectedResourceMap = {},
+        unprotectedResources = [],
+        accountInfo = {},
+        b2c
+    } = validateConfig(config);
+
     // login redirect URL.
-    const LOGIN_ACTION_REDIRECT = loginActionRedirect && loginActionRedirect !== 'null'
+    const LOGIN_ACTION_REDIRECT = loginActionRedirect
         ? `${window.location.origin}${loginActionRedirect}`
         : window.location.origin;
 
     // logout redirect URL.
-    const LOGOUT_ACTION_REDIRECT = logoutActionRedirect && logoutActionRedirect !== 'null'
+    const LOGOUT_ACTION_REDIRECT = logoutActionRedirect
         ? `${window.location.origin}${logoutActionRedirect}`
         : window.location.origin;
 
     // token acquisition route path.
-    const TOKEN_REFRESH_URI = tokenRefreshUri && tokenRefreshUri !== 'null'
+    const TOKEN_REFRESH_URI = tokenRefreshUri
         ? `${window.location.origin}${tokenRefreshUri}`
         : window.location.origin;
 
     // offset needed to renew the token before expiry.
-    const TOKEN_REFRESH_PERIOD = +tokenRenewalOffset;
+    const TOKEN_REFRESH_PERIOD = tokenRenewalOffset;
+
+    // renews acquired tokens in background before expiration.
+    const AUTO_RENEW_TOKEN = autoRenewToken;
+
+    // synchronizes login, logout and account changes across tabs.
+    const SYNC_SESSION = syncSession;
+
+    // collects Graph requests in JSON batches.
+    const GRAPH_BATCHING = graphBatching;
+
+    // retries throttled and transient failed Graph requests.
+    const GRAPH_RETRY = toRetryPolicy(graphRetry);
 
     // navigates to request URL after authentication/login instead of redirect URL.
-    const NAVIGATE_TO_REQUEST_URL_AFTER_LOGIN = navigateToRequestAfterLogin === true || navigateToRequestAfterLogin === 'true';
+    const NAVIGATE_TO_REQUEST_URL_AFTER_LOGIN = navigateToRequestAfterLogin;
+
+    // resources URLs mapped to its permission scopes.
+    const PROTECTED_RESOURCE_MAP = new Map(
+        protectedResourceMap instanceof Map || Array.isArray(protectedResourceMap)
+            ? protectedResourceMap
+            : Object.entries(protectedResourceMap ?? {})
+    );
+
+    // profile attributes and expansions for account info.
+    const ACCOUNT_INFO = {
+        select: types.ATTRIBUTES,
+        expand: null,
+        extensionAttributes: [],
+        ...accountInfo
+    };
+
+    // Azure cloud login and Graph endpoints.
+    const CLOUD = toCloud(cloud);
+
+    // tenants accepted after login.
+    const ALLOWED_TENANTS = allowedTenants;
+
+    // Azure AD B2C domain and user-flow policies.
+    const B2C = toB2CConfig(b2c, tenantId);
 
     /**
      *  - clientId: Client ID of your app registered with our Application registration portal (https://portal.azure.com/#blade/Microsoft_AAD_IAM/ActiveDirectoryMenuBlade/RegisteredAppsPreview) in Microsoft Identity Platform
      *  - authority: You can configure a specific authority, defaults to " " or "https://login.microsoftonline.com/common"
-     *  - validateAuthority: Used to turn authority validation on/off. When set to true (default), MSAL will compare the application's authority against well-known URLs templates representing well-formed authorities. It is useful when the authority is obtained at run time to prevent MSAL from displaying authentication prompts from malicious pages.
-     *  - knownAuthorities: If validateAuthority is set to True, this will be used to set the Trusted Host list. Defaults to empty array
+     *  - knownAuthorities: trusted authorities domains, required for B2C.
      *  - redirectUri: The redirect URI of the application, this should be same as the value in the application registration portal.Defaults to `window.location.href`.
      *  - postLogoutRedirectUri: Used to redirect the user to this location after logout. Defaults to `window.location.href`.
      *  - navigateToLoginRequestUrl: Used to turn off default navigation to start page after login. Default is true. This is used only for redirect flows.
-     *  - tokenRefreshUri: [CUSTOM] allows to exports token acquisition iframe route for token refresh logic.
+     *  - tokenRefreshUri: [CUSTOM] blank page redirect URI for silent iframe renewal, used only when refresh token is expired.
      */
     const auth = {
         clientId,
         // https://docs.microsoft.com/en-us/azure/active-directory/develop/msal-client-application-configuration
-        authority: `https://login.microsoftonline.com/${tenantId}`,
-        validateAuthority: false,
+        ...toAuthority(tenantId, CLOUD, B2C),
         redirectUri: LOGIN_ACTION_REDIRECT,
         postLogoutRedirectUri: LOGOUT_ACTION_REDIRECT,
         navigateToLoginRequestUrl: NAVIGATE_TO_REQUEST_URL_AFTER_LOGIN,
@@ -96,26 +258,30 @@ export default function createConfig({
      *
      * - cacheLocation: Used to specify the cacheLocation user wants to set. Valid values are "localStorage" and "sessionStorage"
      * - storeAuthStateInCookie: If set, MSAL store's the auth request state required for validation of the auth flows in the browser cookies. By default this flag is set to false.
-     * - infoCacheDurationInDays: [CUSTOM] days for store user info in cache.
-     * - photoCacheDurationInDays: [CUSTOM] days for store user photo in cache.
+     * - infoCacheTtl: [CUSTOM] milliseconds for store user info in cache.
+     * - photoCacheTtl: [CUSTOM] milliseconds for store user photo in cache.
+     * - storage: [CUSTOM] storage type or adapter for library cache.
+     * - maxEntries: [CUSTOM] max library cache entries, evicting least recently used.
      */
     const cache = {
         cacheLocation: types.CACHE.LOCAL_STORAGE,
         storeAuthStateInCookie: false,
-        infoCacheDurationInDays: +infoCacheDurationInDays,
-        photoCacheDurationInDays: +photoCacheDurationInDays
+        infoCacheTtl: +(infoCacheTtl ?? infoCacheDurationInDays * DAY),
+        photoCacheTtl: +(photoCacheTtl ?? photoCacheDurationInDays * DAY),
+        storage: cacheStorage,
+        maxEntries: +cacheMaxEntries
     };
 
     /**
      * Library specific options.
      *
-     * - logger: Used to initialize the Logger object;
-     * - loadFrameTimeout: maximum time the library should wait for a frame to load
+     * - loggerOptions: Used to initialize the Logger object
+     * - iframeHashTimeout: maximum time the library should wait for a frame to load
      * - tokenRenewalOffsetSeconds: sets the window of offset needed to renew the token before expiry
      * - navigateFrameWait: sets the wait time for hidden iFrame navigation
      */
     const system = {
-        loadFrameTimeout: 12000,
+        iframeHashTimeout: 12000,
         tokenRenewalOffsetSeconds: TOKEN_REFRESH_PERIOD,
         navigateFrameWait: 200
     };
@@ -123,12 +289,28 @@ export default function createConfig({
     /**
      * App/Framework specific environment support.
      *
-     * - unprotectedResources: Array of URI's which are unprotected resources. MSAL will not attach a token to outgoing requests that have these URI. Defaults to 'null'.
-     * - protectedResourceMap: This is mapping of resources to scopes used by MSAL for automatically attaching access tokens in web API calls.A single access token is obtained for the resource. So you can map a specific resource path as follows: {"https://graph.microsoft.com/v1.0/me", ["user.read"]}, or the app URL of the resource as: {"https://graph.microsoft.com/", ["user.read", "mail.send"]}. This is required for CORS calls.
+     * - unprotectedResources: [CUSTOM] Array of URI's which are unprotected resources. Secure client will not attach a token to outgoing requests that have these URI. Defaults to 'null'.
+     * - autoRenewToken: [CUSTOM] whether acquired tokens are renewed in background, before expiration less tokenRenewalOffsetSeconds.
+     * - syncSession: [CUSTOM] whether login, logout, account switch and cache clearing are broadcasted to other tabs.
+     * - graphBatching: [CUSTOM] whether Graph requests made in the same tick are sent together in $batch requests.
+     * - accountInfo: [CUSTOM] default profile attributes (select), expansions (expand) and directory extension attributes retrieved as account info.
+     * - cloud: [CUSTOM] Azure cloud login and Microsoft Graph endpoints.
+     * - allowedTenants: [CUSTOM] tenants identifiers accepted after login, every tenant if empty.
+     * - b2c: [CUSTOM] Azure AD B2C domain, user-flow policies and its authorities, or null if isn't B2C.
+     * - graphRetry: [CUSTOM] retry policy for throttled (429) and transient (503, 504 and network) failed Graph requests, honouring Retry-After header or using exponential backoff with jitter.
+     * - protectedResourceMap: [CUSTOM] This is mapping of resources to scopes used by secure client for automatically attaching access tokens in web API calls.A single access token is obtained for the resource. So you can map a specific resource path as follows: {"https://graph.microsoft.com/v1.0/me", ["user.read"]}, or the app URL of the resource as: {"https://graph.microsoft.com/", ["user.read", "mail.send"]}. This is required for CORS calls.
      */
     const framework = {
-        unprotectedResources: [],
-        protectedResourceMap: new Map()
+        autoRenewToken: AUTO_RENEW_TOKEN,
+        syncSession: SYNC_SESSION,
+        graphBatching: GRAPH_BATCHING,
+        graphRetry: GRAPH_RETRY,
+        unprotectedResources: unprotectedResources ?? [],
+        protectedResourceMap: PROTECTED_RESOURCE_MAP,
+        accountInfo: ACCOUNT_INFO,
+        cloud: CLOUD,
+        allowedTenants: ALLOWED_TENANTS,
+        b2c: B2C
     };
 
     // MSAL configuration.
@@ -0,0 +1,275 @@
+/**
+ * MSAL Microsoft Authentication config
+ * validation, coercing environment
+ * variables values (i.e. 'true' or
+ * 'null') and failing fast with
+ * readable messages.
+ *
+ * @summary MSAL config schema.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 21:31:06
+ * Last modified  : 2026-10-19 21:31:06
+ */
+
+import { ConfigurationError } from '../auth.errors';
+import types from './aad.types';
+
+// GUID format, for application and tenant identifiers.
+const GUID = /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i;
+
+// tenant domain format, i.e. contoso.onmicrosoft.com.
+const DOMAIN = /^[a-z\d-]+(\.[a-z\d-]+)+$/i;
+
+/**
+ * Formats a received value
+ * for error messages.
+ *
+ * @param {any} value received value.
+ *
+ * @returns {string} formatted value.
+ */
+function received(value)
+{
+    return `received ${typeof value === 'string' ? `'${value}'` : JSON.stringify(value) ?? String(value)}`;
+}
+
+/**
+ * Parses JSON strings (i.e. from
+ * environment variables).
+ *
+ * @param {any} value value or JSON string.
+ *
+ * @throws {Error} on non valid JSON.
+ *
+ * @returns {any} parsed value.
+ */
+function parseJson(value)
+{
+    if (typeof value !== 'string')
+        return value;
+
+    try
+    {
+        return JSON.parse(value);
+    }
+    catch
+    {
+        throw new Error(`should be valid JSON, ${received(value)}`);
+    }
+}
+
+// field validators, returning coerced value
+// or throwing the error description.
+const VALIDATORS = {
+    guid(value)
+    {
+        if (typeof value !== 'string' || !GUID.test(value))
+            throw new Error(`should be a GUID (i.e. 2a85c521-02fc-4796-8ecc-eaa13eee2e7b), ${received(value)}`);
+
+        return value;
+    },
+
+    tenant(value)
+    {
+        const valid = typeof value === 'string'
+            && (GUID.test(value) || DOMAIN.test(value) || Object.values(types.TENANT).includes(value));
+
+        if (!valid)
+            throw new Error(`should be a tenant GUID, domain, or ${Object.values(types.TENANT).join(', ')}, ${received(value)}`);
+
+        return value;
+    },
+
+    path(value)
+    {
+        if (typeof value !== 'string' || !value.startsWith('/'))
+            throw new Error(`should be a path starting with '/', ${received(value)}`);
+
+        return value;
+    },
+
+    boolean(value)
+    {
+        if (value === true || value === 'true')
+            return true;
+
+        if (value === false || value === 'false')
+            return false;
+
+        throw new Error(`should be true or false, ${received(value)}`);
+    },
+
+    number(value)
+    {
+        const number = typeof value === 'string' && value.trim() !== '' ? +value : value;
+
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < 0)
+            throw new Error(`should be a non negative number, ${received(value)}`);
+
+        return number;
+    },
+
+    list(value)
+    {
+        if (typeof value === 'string')
+            return value.split(',').map((item) => item.trim()).filter(Boolean);
+
+        if (!Array.isArray(value) || value.some((item) => typeof item !== 'string'))
+            throw new Error(`should be an array or comma separated string, ${received(value)}`);
+
+        return value;
+    },
+
+    object(value)
+    {
+        const object = parseJson(value);
+
+        if (!object || typeof object !== 'object' || Array.isArray(object))
+            throw new Error(`should be an object, ${received(value)}`);
+
+        return object;
+    },
+
+    retry(value)
+    {
+        if (value === false || value === 'false')
+            return false;
+
+        return VALIDATORS.object(value);
+    },
+
+    cloud(value)
+    {
+        if (typeof value === 'string' && Object.values(types.CLOUD).includes(value))
+            return value;
+
+        const cloud = value && typeof value === 'object' ? value : {};
+
+        if (typeof cloud.login !== 'string' || typeof cloud.graph !== 'string')
+            throw new Error(`should be ${Object.values(types.CLOUD).join(', ')}, or { login, graph } endpoints, ${received(value)}`);
+
+        return value;
+    },
+
+    storage(value)
+    {
+        if (typeof value === 'string' && Object.values(types.CACHE).includes(value))
+            return value;
+
+        const valid = value && [ 'get', 'set', 'remove', 'keys' ].every((method) => typeof value[method] === 'function');
+
+        if (!valid)
+            throw new Error(`should be ${Object.values(types.CACHE).join(', ')}, or a storage adapter, ${received(value)}`);
+
+        return value;
+    },
+
+    resourceMap(value)
+    {
+        const map = parseJson(value);
+
+        if (!map || typeof map !== 'object')
+            throw new Error(`should be an object, Map or entries array, ${received(value)}`);
+
+        return map;
+    },
+
+    b2c(value)
+    {
+        const b2c = VALIDATORS.object(value);
+
+        if (typeof b2c.tenantName !== 'string' || typeof b2c.policies?.signUpSignIn !== 'string')
+            throw new Error('should have tenantName and policies.signUpSignIn');
+
+        return b2c;
+    }
+};
+
+// config fields types, nullable fields accepts null or 'null'.
+const SCHEMA = {
+    clientId: { type: 'guid' },
+    tenantId: { type: 'tenant' },
+    cloud: { type: 'cloud' },
+    allowedTenants: { type: 'list' },
+    loginActionRedirect: { type: 'path', nullable: true },
+    logoutActionRedirect: { type: 'path', nullable: true },
+    tokenRefreshUri: { type: 'path', nullable: true },
+    tokenRenewalOffset: { type: 'number' },
+    autoRenewToken: { type: 'boolean' },
+    syncSession: { type: 'boolean' },
+    graphBatching: { type: 'boolean' },
+    graphRetry: { type: 'retry' },
+    navigateToRequestAfterLogin: { type: 'boolean' },
+    infoCacheDurationInDays: { type: 'number' },
+    photoCacheDurationInDays: { type: 'number' },
+    infoCacheTtl: { type: 'number' },
+    photoCacheTtl: { type: 'number' },
+    cacheStorage: { type: 'storage' },
+    cacheMaxEntries: { type: 'number' },
+    protectedResourceMap: { type: 'resourceMap' },
+    unprotectedResources: { type: 'list' },
+    accountInfo: { type: 'object' },
+    b2c: { type: 'b2c' }
+};
+
+/**
+ * Validates MSAL auth config, coercing
+ * environment variables values.
+ * Every invalid field is reported.
+ *
+ * @export
+ *
+ * @param {object} config MSAL auth config (see createConfig).
+ *
+ * @throws {ConfigurationError} if config has invalid or missing fields.
+ *
+ * @returns {object} coerced config.
+ */
+export default function validateConfig(config)
+{
+    if (!config || typeof config !== 'object')
+        throw new ConfigurationError([ `config should be an object, ${received(config)}` ]);
+
+    const errors = [];
+    const result = { ...config };
+
+    if (!config.clientId)
+        errors.push('clientId is required (application id from App Registration).');
+
+    // B2C tenant is resolved from b2c config.
+    if (!config.tenantId && !config.b2c)
+        errors.push(`tenantId is required (tenant GUID, domain, or ${Object.values(types.TENANT).join(', ')}).`);
+
+    for (const [ name, { type, nullable } ] of Object.entries(SCHEMA))
+    {
+        const value = config[name];
+
+        if (nullable && (value === null || value === 'null'))
+        {
+            result[name] = null;
+            continue;
+        }
+
+        // unset values use defaults.
+        if (value === undefined || value === null || value === '')
+        {
+            result[name] = undefined;
+            continue;
+        }
+
+        try
+        {
+            result[name] = VALIDATORS[type](value);
+        }
+        catch (error)
+        {
+            errors.push(`${name} ${error.message}.`);
+        }
+    }
+
+    if (errors.length > 0)
+        throw new ConfigurationError(errors);
+
+    return result;
+}
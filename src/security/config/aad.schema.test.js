@@ -0,0 +1,70 @@
+import { ConfigurationError } from '../auth.errors';
+import validateConfig from './aad.schema';
+
+const CLIENT_ID = '2a85c521-02fc-4796-8ecc-eaa13eee2e7b';
+
+test('coerces environment variables values', () =>
+{
+    const config = validateConfig({
+        clientId: CLIENT_ID,
+        tenantId: 'contoso.onmicrosoft.com',
+        autoRenewToken: 'true',
+        syncSession: 'false',
+        tokenRenewalOffset: '300',
+        allowedTenants: 'tenant-a, tenant-b',
+        tokenRefreshUri: 'null',
+        graphRetry: 'false',
+        accountInfo: '{"select":"id,displayName"}',
+        cacheMaxEntries: ''
+    });
+
+    expect(config).toEqual(expect.objectContaining({
+        autoRenewToken: true,
+        syncSession: false,
+        tokenRenewalOffset: 300,
+        allowedTenants: [ 'tenant-a', 'tenant-b' ],
+        tokenRefreshUri: null,
+        graphRetry: false,
+        accountInfo: { select: 'id,displayName' },
+        cacheMaxEntries: undefined
+    }));
+});
+
+test('reports every invalid field', () =>
+{
+    let error;
+
+    try
+    {
+        validateConfig({
+            clientId: 'my-app',
+            tenantId: 'not a tenant',
+            autoRenewToken: 'yes',
+            tokenRenewalOffset: '-1',
+            loginActionRedirect: 'login',
+            accountInfo: '{ select }'
+        });
+    }
+    catch (e)
+    {
+        error = e;
+    }
+
+    expect(error).toBeInstanceOf(ConfigurationError);
+    expect(error.errors.map((message) => message.split(' ')[0])).toEqual([
+        'clientId',
+        'tenantId',
+        'loginActionRedirect',
+        'tokenRenewalOffset',
+        'autoRenewToken',
+        'accountInfo'
+    ]);
+});
+
+test('requires clientId and tenantId out of B2C', () =>
+{
+    expect(() => validateConfig({})).toThrow(ConfigurationError);
+    expect(() => validateConfig(null)).toThrow('config should be an object');
+    expect(() => validateConfig({ clientId: CLIENT_ID, b2c: { tenantName: 'contoso', policies: { signUpSignIn: 'B2C_1_susi' } } }))
+        .not.toThrow();
+});
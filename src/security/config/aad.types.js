@@ -5,7 +5,7 @@
  * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
  *
  * Created at     : 2020-05-23 19:54:31
- * Last modified  : 2020-11-26 12:11:36
+ * Last modified  : 2026-10-19 22:05:12
  */
 
 const types = {
@@ -14,12 +14,69 @@ const types = {
         REDIRECT: 'loginRedirect',
         POPUP: 'loginPopup'
     },
+    // Azure clouds (national clouds).
+    CLOUD: {
+        PUBLIC: 'public',
+        USGOV: 'usgov',
+        CHINA: 'china'
+    },
+    // Azure clouds login and Microsoft Graph endpoints.
+    CLOUD_ENDPOINTS: {
+        public: {
+            login: 'https://login.microsoftonline.com/',
+            graph: 'https://graph.microsoft.com/'
+        },
+        usgov: {
+            login: 'https://login.microsoftonline.us/',
+            graph: 'https://graph.microsoft.us/'
+        },
+        china: {
+            login: 'https://login.chinacloudapi.cn/',
+            graph: 'https://microsoftgraph.chinacloudapi.cn/'
+        }
+    },
+    // Multi-tenant authorities, used as tenantId.
+    TENANT: {
+        COMMON: 'common',
+        ORGANIZATIONS: 'organizations',
+        CONSUMERS: 'consumers'
+    },
+    // Interactive token acquisition types.
+    INTERACTION_TYPE: {
+        REDIRECT: 'redirect',
+        POPUP: 'popup'
+    },
+    // Authentication events, with its payload.
+    EVENT: {
+        // session state changed (state)
+        STATE_CHANGED: 'stateChanged',
+        // interactive or silent login succeeded ({ account, response })
+        LOGIN_SUCCESS: 'loginSuccess',
+        // access token acquired ({ scopes, response })
+        ACQUIRE_TOKEN_SUCCESS: 'acquireTokenSuccess',
+        // silent token renewal failed ({ scopes, error })
+        SILENT_RENEWAL_FAILURE: 'silentRenewalFailure',
+        // active account changed ({ account })
+        ACCOUNT_CHANGED: 'accountChanged',
+        // logout started ({ account, localOnly })
+        LOGOUT_START: 'logoutStart',
+        // account removed from cache, before redirect navigation if any ({ account, localOnly })
+        LOGOUT_SUCCESS: 'logoutSuccess',
+        // accounts and tokens cache cleared (no payload)
+        CACHE_CLEARED: 'cacheCleared',
+        // error raised ({ error })
+        ERROR: 'error'
+    },
     // Cache location options supported.
     CACHE: {
         // browsers local storage to store the cache
         LOCAL_STORAGE: 'localStorage',
         // browsers session storage to store the cache
-        SESSION_STORAGE: 'sessionStorage'
+        SESSION_STORAGE: 'sessionStorage',
+        // [CUSTOM] in-memory store, only for library cache
+        MEMORY: 'memory',
+        // [CUSTOM] browsers IndexedDB, only for library cache
+        INDEXED_DB: 'indexedDB'
     },
     // Microsoft Active Directory resources APIs.
     RESOURCES: {
@@ -1,2 +1,3 @@
 export { default as createConfig } from './aad.cfg';
 export { default as types } from './aad.types';
+export { default as validateConfig } from './aad.schema';
@@ -0,0 +1,102 @@
+/**
+ * Typed events bus, for session state
+ * changes and authentication events.
+ *
+ * @summary Events bus handler.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2020-02-09 19:53:33
+ * Last modified  : 2026-10-19 13:58:06
+ */
+
+import { types } from './config';
+
+export default class EventBus
+{
+    /**
+     * Initializes subscriptors
+     */
+    constructor()
+    {
+        this.subscriptors = new Map();
+        this.sequence = 0;
+    }
+
+    /**
+     * Subscribes a listener callback
+     * for an event type.
+     *
+     * @param {string} type event type, from types.EVENT.
+     * @param {Function} callback listener, receives event payload.
+     *
+     * @returns {string} id subscription identifier
+     */
+    on(type, callback)
+    {
+        const id = `${type}.${++this.sequence}`;
+
+        this.subscriptors.set(id, { type, callback });
+
+        return id;
+    }
+
+    /**
+     * Removes subscription by it's id.
+     *
+     * @param {string} id subscription identifier
+     */
+    off(id)
+    {
+        this.subscriptors.delete(id);
+    }
+
+    /**
+     * Triggers the event for every
+     * subscription to the event type.
+     *
+     * @param {string} type event type, from types.EVENT.
+     * @param {any} [payload] any payload for callbacks.
+     */
+    emit(type, payload)
+    {
+        for (const { type: subscribed, callback } of [ ...this.subscriptors.values() ])
+        {
+            if (subscribed === type)
+                callback(payload);
+        }
+    }
+
+    /**
+     * Subscribes a listener callback
+     * for session state changes.
+     *
+     * @param {Function} callback listener, receives session state.
+     *
+     * @returns {string} id subscription identifier
+     */
+    subscribe(callback)
+    {
+        return this.on(types.EVENT.STATE_CHANGED, callback);
+    }
+
+    /**
+     * Removes subscription by it's id.
+     *
+     * @param {string} id subscription identifier
+     */
+    unsubscribe(id)
+    {
+        this.off(id);
+    }
+
+    /**
+     * Triggers session state
+     * change for every subscription.
+     *
+     * @param {object} state session state.
+     */
+    trigger(state)
+    {
+        this.emit(types.EVENT.STATE_CHANGED, state);
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Development personas for disabled
+ * authentication, supplying a fake
+ * account, claims, Graph profile and
+ * avatar, so role-gated screens can
+ * be used without signing in.
+ *
+ * @summary Development persona util.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 20:34:12
+ * Last modified  : 2026-10-19 20:34:12
+ */
+
+// default persona tenant identifier.
+const TENANT_ID = '00000000-0000-0000-0000-000000000000';
+
+// avatar background colors, picked by name.
+const COLORS = [ '#0078d4', '#107c10', '#5c2d91', '#d83b01', '#008272', '#a4262c' ];
+
+/**
+ * Creates an initials avatar
+ * as SVG data URL.
+ *
+ * @param {string} name display name.
+ *
+ * @returns {string} avatar data URL.
+ */
+function initialsAvatar(name)
+{
+    const initials = name.split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map((word) => word[0].toUpperCase())
+        .join('');
+
+    const color = COLORS[[ ...name ].reduce((sum, char) => sum + char.charCodeAt(0), 0) % COLORS.length];
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="96" height="96">'
+        + `<rect width="96" height="96" fill="${color}"/>`
+        + '<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="sans-serif" '
+        + `font-size="40" fill="#fff">${initials}</text></svg>`;
+
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Creates a development persona, with
+ * an account like MSAL AccountInfo,
+ * a Graph profile and an avatar.
+ *
+ * @export
+ *
+ * @param {object|string} persona persona data, or JSON string (i.e. from environment variables).
+ * @param {string} [persona.id] account object identifier.
+ * @param {string} [persona.username] account userName.
+ * @param {string} [persona.name] account display name.
+ * @param {string} [persona.tenantId] account tenant identifier.
+ * @param {Array<string>} [persona.roles] account roles claim.
+ * @param {Array<string>} [persona.groups] account groups claim.
+ * @param {object} [persona.claims] account ID token claims.
+ * @param {object} [persona.profile] Graph profile attributes.
+ * @param {string|null} [persona.avatar] avatar URL, initials avatar
+ *  by default, or null for no avatar.
+ *
+ * @returns {object} persona account, profile and avatar.
+ */
+export function createPersona(persona)
+{
+    const {
+        id = '00000000-0000-0000-0000-000000000001',
+        username = 'developer@localhost',
+        name = 'Developer',
+        tenantId = TENANT_ID,
+        roles = [],
+        groups = [],
+        claims,
+        profile,
+        avatar
+    } = typeof persona === 'string' ? JSON.parse(persona) : persona;
+
+    const [ givenName, ...surname ] = name.split(' ');
+
+    return {
+        account: {
+            homeAccountId: `${id}.${tenantId}`,
+            localAccountId: id,
+            environment: 'localhost',
+            tenantId,
+            username,
+            name,
+            idTokenClaims: {
+                oid: id,
+                tid: tenantId,
+                name,
+                preferred_username: username,
+                roles,
+                groups,
+                ...claims
+            }
+        },
+        profile: {
+            id,
+            displayName: name,
+            givenName,
+            surname: surname.join(' ') || null,
+            mail: username,
+            userPrincipalName: username,
+            ...profile
+        },
+        avatar: avatar === undefined ? initialsAvatar(name) : avatar
+    };
+}
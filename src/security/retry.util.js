@@ -0,0 +1,187 @@
+/**
+ * Retry policy for throttled and
+ * transient failed requests, honouring
+ * Retry-After header or using exponential
+ * backoff with jitter.
+ *
+ * @summary Request retry helpers.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 18:47:36
+ * Last modified  : 2026-10-19 18:47:36
+ */
+
+import axios from 'axios';
+
+// default retry policy.
+export const RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    statuses: [ 429, 503, 504 ]
+};
+
+/**
+ * Creates the error for
+ * aborted requests.
+ *
+ * @param {AbortSignal} [signal] aborted signal.
+ *
+ * @returns {Error} abort error.
+ */
+function abortError(signal)
+{
+    if (signal?.reason instanceof Error)
+        return signal.reason;
+
+    const error = new Error('Request was aborted.');
+    error.name = 'AbortError';
+
+    return error;
+}
+
+/**
+ * Parses Retry-After header, as
+ * seconds or HTTP date.
+ *
+ * @param {object} [headers] response headers.
+ *
+ * @returns {number} milliseconds to wait, or null if header isn't valid.
+ */
+function parseRetryAfter(headers)
+{
+    const header = Object.entries(headers ?? {})
+        .find(([ name ]) => name.toLowerCase() === 'retry-after')?.[1];
+
+    if (header === undefined || header === null || header === '')
+        return null;
+
+    if (!isNaN(header))
+        return Math.max(+header * 1000, 0);
+
+    const date = Date.parse(header);
+
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Whether error was caused
+ * by request abortion.
+ *
+ * @export
+ *
+ * @param {Error} error request error.
+ *
+ * @returns {boolean} true if request was aborted.
+ */
+export function isAbortError(error)
+{
+    return error?.name === 'AbortError' || axios.isCancel(error);
+}
+
+/**
+ * Computes the delay before retrying a
+ * failed request, from Retry-After header
+ * or exponential backoff with jitter.
+ *
+ * @export
+ *
+ * @param {Error} error request error, like axios ones.
+ * @param {number} attempt retries already made.
+ * @param {object} [policy] retry policy.
+ * @param {number} [policy.maxRetries] max retries.
+ * @param {number} [policy.baseDelay] backoff base delay in milliseconds.
+ * @param {number} [policy.maxDelay] backoff max delay in milliseconds.
+ * @param {Array<number>} [policy.statuses] retryable response statuses.
+ *
+ * @returns {number} milliseconds to wait, or null if request shouldn't be retried.
+ */
+export function getRetryDelay(error, attempt, {
+    maxRetries = RETRY_POLICY.maxRetries,
+    baseDelay = RETRY_POLICY.baseDelay,
+    maxDelay = RETRY_POLICY.maxDelay,
+    statuses = RETRY_POLICY.statuses
+} = {})
+{
+    if (attempt >= maxRetries || isAbortError(error))
+        return null;
+
+    const { response } = error;
+
+    // network errors are transient too.
+    if (response ? !statuses.includes(response.status) : !error.request)
+        return null;
+
+    const retryAfter = parseRetryAfter(response?.headers);
+
+    if (retryAfter !== null)
+        return retryAfter;
+
+    // equal jitter, between half and full backoff.
+    const backoff = Math.min(baseDelay * (2 ** attempt), maxDelay);
+
+    return Math.round((backoff / 2) + (Math.random() * backoff / 2));
+}
+
+/**
+ * Waits for a delay, rejecting
+ * if signal is aborted.
+ *
+ * @export
+ *
+ * @param {number} delay milliseconds to wait.
+ * @param {AbortSignal} [signal] abort signal.
+ *
+ * @returns {Promise<void>} delay promise.
+ */
+export function wait(delay, signal)
+{
+    return new Promise((resolve, reject) =>
+    {
+        if (signal?.aborted)
+        {
+            reject(abortError(signal));
+
+            return;
+        }
+
+        const onAbort = () =>
+        {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+
+        const timer = setTimeout(() =>
+        {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Creates an axios cancel token
+ * bound to an abort signal.
+ *
+ * @export
+ *
+ * @param {AbortSignal} [signal] abort signal.
+ *
+ * @returns {object} axios cancel token, or undefined without signal.
+ */
+export function toCancelToken(signal)
+{
+    if (!signal)
+        return undefined;
+
+    const source = axios.CancelToken.source();
+
+    if (signal.aborted)
+        source.cancel(abortError(signal).message);
+    else
+        signal.addEventListener('abort', () => source.cancel(abortError(signal).message), { once: true });
+
+    return source.token;
+}
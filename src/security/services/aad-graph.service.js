@@ -5,128 +5,775 @@
  * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
  *
  * Created at     : 2020-05-23 19:53:33
- * Last modified  : 2021-02-10 13:30:34
+ * Last modified  : 2026-10-20 10:29:17
  */
 
 import axios from 'axios';
 import { types } from '../config';
+import { getRetryDelay, RETRY_POLICY, toCancelToken, wait } from '../retry.util';
 import AuthenticationService from './aad.service';
 
-// Graph API helper.
-const GraphService = {
-    // Graph API base URL.
-    URL: `${types.RESOURCES.MICROSOFT_GRAPH}v1.0/`,
-
-    /**
-     * Acquire auth token and sends a request to
-     * Microsoft Graph API.
-     *
-     * @param {any} [options] axios options. Use api for Graph action.
-     *
-     * @returns {Promise} response.
-     */
-    graphRequest(options)
+// max requests in a Graph JSON batch.
+const BATCH_MAX_REQUESTS = 20;
+
+/**
+ * Converts comma separated string
+ * or array to array.
+ *
+ * @param {string|Array<string>} [value] values.
+ *
+ * @returns {Array<string>} values array.
+ */
+function toList(value)
+{
+    if (!value)
+        return [];
+
+    return Array.isArray(value) ? value : value.split(',').map((item) => item.trim());
+}
+
+/**
+ * Whether Graph action is an absolute
+ * URL, i.e. from @odata.nextLink.
+ *
+ * @param {string} api Graph action.
+ *
+ * @returns {boolean} true if URL is absolute.
+ */
+function isAbsoluteUrl(api)
+{
+    return /^https?:\/\//i.test(api);
+}
+
+/**
+ * Builds Graph relative URL, with
+ * query params, for batch sub-request.
+ *
+ * @param {string} api Graph action.
+ * @param {object} [params] query params.
+ *
+ * @returns {string} relative URL.
+ */
+function toRelativeUrl(api, params)
+{
+    const query = Object.entries(params ?? {})
+        .filter(([ , value ]) => value !== undefined && value !== null)
+        .map(([ key, value ]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+
+    return `/${api}${query ? `${api.includes('?') ? '&' : '?'}${query}` : ''}`;
+}
+
+/**
+ * Converts request options to
+ * batch sub-request.
+ *
+ * @param {object} request request options.
+ * @param {string} request.api Graph action.
+ * @param {string} [request.method] HTTP method.
+ * @param {object} [request.params] query params.
+ * @param {any} [request.data] request body.
+ * @param {object} [request.headers] request headers.
+ * @param {number} id sub-request identifier.
+ *
+ * @returns {object} batch sub-request.
+ */
+function toBatchRequest({ api, method = 'GET', params, data, headers }, id)
+{
+    const request = { id: `${id}`, method: method.toUpperCase(), url: toRelativeUrl(api, params) };
+
+    if (headers)
+        request.headers = { ...headers };
+
+    if (data !== undefined)
     {
-        return new Promise((resolve, reject) =>
+        request.body = data;
+        request.headers = { 'Content-Type': 'application/json', ...request.headers };
+    }
+
+    return request;
+}
+
+/**
+ * Converts batch sub-response to
+ * result, with an error like axios
+ * ones if sub-request failed.
+ *
+ * @param {object} request request options.
+ * @param {string} request.api Graph action.
+ * @param {string} [request.responseType] expected response type.
+ * @param {object} [response] batch sub-response.
+ *
+ * @returns {object} status, data, headers and error.
+ */
+function toBatchResult({ api, responseType }, response)
+{
+    if (!response)
+        return { error: new Error(`Graph batch response for '${api}' is missing.`) };
+
+    const { status, headers, body } = response;
+
+    if (status >= 400)
+    {
+        const error = new Error(body?.error?.message ?? `Graph request '${api}' failed with status ${status}.`);
+        error.response = { status, headers, data: body };
+
+        return { status, headers, error };
+    }
+
+    // binary content is base64 encoded in batch responses.
+    const data = responseType === 'arraybuffer' && typeof body === 'string'
+        ? Uint8Array.from(window.atob(body), (char) => char.charCodeAt(0)).buffer
+        : body;
+
+    return { status, headers, data };
+}
+
+/**
+ * Creates a Microsoft Graph service
+ * bound to an authentication service
+ * instance for token acquisition.
+ *
+ * @export
+ *
+ * @param {object} authService authentication service.
+ *
+ * @returns {object} Graph service.
+ */
+export function createGraphService(authService)
+{
+    // requests waiting for automatic batching.
+    const queue = [];
+
+    // Graph API helper.
+    const service = {
+        /**
+         * Graph API base URL, from
+         * cloud config.
+         *
+         * @returns {string} Graph API base URL.
+         */
+        get URL()
+        {
+            const graph = authService.baseConfig?.framework.cloud?.graph ?? types.RESOURCES.MICROSOFT_GRAPH;
+
+            return `${graph}v1.0/`;
+        },
+
+        /**
+         * Graph permission scopes, qualified
+         * with Graph endpoint in national
+         * clouds, so token audience matches.
+         *
+         * @param {Array<string>} [scopes] permission scopes, default scopes if missing.
+         *
+         * @returns {Array<string>} permission scopes.
+         */
+        getScopes(scopes = types.DEFAULT_SCOPES)
         {
-            AuthenticationService.acquireToken({ scopes: types.DEFAULT_SCOPES })
-                .then(response =>
+            const graph = authService.baseConfig?.framework.cloud?.graph;
+
+            if (!graph || graph === types.RESOURCES.MICROSOFT_GRAPH)
+                return scopes;
+
+            return scopes.map((scope) => `${graph}${scope}`);
+        },
+
+        /**
+         * Acquire auth token and sends a request to
+         * Microsoft Graph API.
+         *
+         * Throttled (429) and transient failed requests
+         * are retried using retry policy, and 401 responses
+         * are retried once with a renewed token.
+         *
+         * @param {any} [options] axios options. Use api for Graph action
+         *  (or absolute URL, requested as is and never batched).
+         *  Use batch false for skip automatic batching, retry for
+         *  override retry policy (or false for disable it),
+         *  signal (AbortSignal) for cancel request and pending retries
+         *  and scopes for token permission scopes (default scopes if missing).
+         *  Requests with retry, signal or scopes aren't batched automatically.
+         *
+         * @returns {Promise} response.
+         */
+        graphRequest(options)
+        {
+            // requests with its own retry policy, cancellation
+            // or token scopes are sent alone.
+            const batchable = options.batch !== false && options.retry === undefined && !options.signal && !options.scopes
+                && !isAbsoluteUrl(options.api);
+
+            if (batchable && service.isBatching())
+                return service.enqueue(options);
+
+            const { api, retry, signal, scopes, ...config } = options;
+            const policy = service.getRetryPolicy(retry);
+
+            const send = async (attempt, tokenRetried, forceTokenRefresh = false) =>
+            {
+                const response = await authService.acquireToken({ scopes: service.getScopes(scopes), forceTokenRefresh });
+                const token = response.accessToken;
+
+                try
                 {
-                    const token = response.accessToken;
-                    // builds request config.
-                    options = {
-                        ...options,
-                        url: `${GraphService.URL}${options.api}`,
-                        headers: { Authorization: `Bearer ${token}` }
-                    };
                     // Executes the request.
-                    axios(options)
-                        .then(res => resolve(res.data))
-                        .catch(reject);
-                })
-                .catch(reject);
-        });
-    },
-
-    /**
-     * Create a blob from a
-     * binary array buffer.
-     *
-     * @param {Uint8Array} buffer binary array buffer.
-     * @param {string} type content type.
-     *
-     * @returns {Blob} data blob.
-     */
-    bufferToBlob(buffer, type)
-    {
-        return new Blob([ new Uint8Array(buffer, 0, buffer.length) ], { type });
-    },
-
-    /**
-     * Reads blob data from axios
-     * request for Graph API.
-     *
-     * @param {object} response request response.
-     *
-     * @returns {Promise<any>} promise waiting for blob data.
-     */
-    readBlob(response)
-    {
-        return new Promise((resolve) =>
+                    const res = await axios({
+                        ...config,
+                        url: isAbsoluteUrl(api) ? api : `${service.URL}${api}`,
+                        headers: { ...config.headers, Authorization: `Bearer ${token}` },
+                        cancelToken: toCancelToken(signal)
+                    });
+
+                    return res.data;
+                }
+                catch (error)
+                {
+                    // retries once with a renewed token.
+                    if (error.response?.status === 401 && !tokenRetried)
+                        return send(attempt, true, true);
+
+                    const delay = getRetryDelay(error, attempt, policy);
+
+                    if (delay === null)
+                        throw error;
+
+                    await wait(delay, signal);
+
+                    return send(attempt + 1, tokenRetried);
+                }
+            };
+
+            return send(0, false);
+        },
+
+        /**
+         * Resolves retry policy, from retry
+         * property or graphRetry config,
+         * and request retry option.
+         *
+         * @param {object|boolean} [retry] request retry policy, or false for disable retries.
+         *
+         * @returns {object} retry policy.
+         */
+        getRetryPolicy(retry)
+        {
+            if (retry === false)
+                return { maxRetries: 0 };
+
+            return {
+                ...RETRY_POLICY,
+                ...(service.retry ?? authService.baseConfig?.framework.graphRetry),
+                ...retry
+            };
+        },
+
+        /**
+         * Whether automatic batching is enabled,
+         * from batching property or graphBatching config.
+         *
+         * @returns {boolean} true if requests are batched.
+         */
+        isBatching()
+        {
+            return service.batching ?? !!authService.baseConfig?.framework.graphBatching;
+        },
+
+        /**
+         * Sends many requests to Microsoft Graph
+         * in JSON batches, of up to 20 requests.
+         * Every sub-request reports its own result.
+         * Throttled and transient failed sub-requests
+         * are retried using retry policy.
+         *
+         * @see https://docs.microsoft.com/en-us/graph/json-batching
+         *
+         * @param {Array<object>} requests requests options (api, method, params, data, headers and responseType).
+         * @param {object} [options] options.
+         * @param {object|boolean} [options.retry] retry policy, or false for disable retries.
+         * @param {AbortSignal} [options.signal] signal for cancel requests and pending retries.
+         * @param {Array<string>} [options.scopes] token permission scopes, default scopes if missing.
+         *
+         * @returns {Promise<Array<object>>} results in requests order,
+         *  as status, data and headers, or error if sub-request failed.
+         */
+        async batch(requests, { retry, signal, scopes } = {})
         {
-            const reader = new FileReader();
-            reader.readAsDataURL(response);
-            reader.onloadend = () =>
+            const policy = service.getRetryPolicy(retry);
+            const chunks = [];
+
+            for (let i = 0; i < requests.length; i += BATCH_MAX_REQUESTS)
+                chunks.push(requests.slice(i, i + BATCH_MAX_REQUESTS));
+
+            const send = async (chunk, attempt) =>
             {
-                resolve(reader.result);
+                const { responses } = await service.graphRequest({
+                    api: '$batch',
+                    method: 'POST',
+                    batch: false,
+                    retry,
+                    signal,
+                    scopes,
+                    data: { requests: chunk.map((request, id) => toBatchRequest(request, id)) }
+                });
+
+                const byId = new Map(responses.map((response) => [ +response.id, response ]));
+                const results = chunk.map((request, id) => toBatchResult(request, byId.get(id)));
+
+                const retries = results
+                    .map(({ error }, id) => ({ id, delay: error ? getRetryDelay(error, attempt, policy) : null }))
+                    .filter(({ delay }) => delay !== null);
+
+                if (retries.length === 0)
+                    return results;
+
+                // waits for the most throttled sub-request.
+                await wait(Math.max(...retries.map(({ delay }) => delay)), signal);
+
+                const retried = await send(retries.map(({ id }) => chunk[id]), attempt + 1);
+                retries.forEach(({ id }, i) => results[id] = retried[i]);
+
+                return results;
             };
-        });
-    },
-
-    /**
-     * User info.
-     *
-     * @returns {any} user info from AAD.
-     */
-    me()
-    {
-        return GraphService.graphRequest({ api: 'me', params: { $select: types.ATTRIBUTES.join(',') } });
-    },
-
-    /**
-     * User photo in max width.
-     *
-     * @returns {string} base64 string from user photo.
-     */
-    photo()
-    {
-        return new Promise((resolve, reject) =>
-        {
-            GraphService.graphRequest({ api: 'me/photo/$value', responseType: 'arraybuffer' })
-                .then((response) => resolve(GraphService.readBlob(GraphService.bufferToBlob(response, 'image/jpeg'))))
-                .catch((error) => reject(error));
-        });
-    },
-
-    /**
-     * User photo with specified width.
-     *
-     * Available sizes are: 48x48, 64x64, 96x96, 120x120,
-     * 240x240, 360x360, 432x432, 504x504 and 648x648.
-     *
-     * @param {string} [size] photo size.
-     *
-     * @returns {string} base64 string from user photo.
-     */
-    photoWithSize(size = '648x648')
-    {
-        return new Promise((resolve, reject) =>
+
+            const results = await Promise.all(chunks.map((chunk) => send(chunk, 0)));
+
+            return results.flat();
+        },
+
+        /**
+         * Queues a request for automatic batching.
+         * Requests queued in the same tick
+         * are sent together.
+         *
+         * @param {object} options request options.
+         *
+         * @returns {Promise<any>} sub-request response data.
+         */
+        enqueue(options)
         {
-            GraphService.graphRequest({ api: `me/photos/${size}/$value`, responseType: 'arraybuffer' })
-                .then((response) => resolve(GraphService.readBlob(GraphService.bufferToBlob(response, 'image/jpeg'))))
-                .catch((error) => reject(error));
-        });
-    }
-};
+            return new Promise((resolve, reject) =>
+            {
+                queue.push({ options, resolve, reject });
+
+                if (queue.length === 1)
+                    setTimeout(service.flush, 0);
+            });
+        },
+
+        /**
+         * Sends queued requests.
+         *
+         * @returns {Promise<void>} sending process.
+         */
+        async flush()
+        {
+            const pending = queue.splice(0, queue.length);
+
+            // single request doesn't need batching.
+            if (pending.length === 1)
+            {
+                const [ { options, resolve, reject } ] = pending;
+
+                return service.graphRequest({ ...options, batch: false }).then(resolve, reject);
+            }
+
+            try
+            {
+                const results = await service.batch(pending.map(({ options }) => options));
+
+                results.forEach(({ data, error }, i) => (error ? pending[i].reject(error) : pending[i].resolve(data)));
+            }
+            catch (error)
+            {
+                pending.forEach(({ reject }) => reject(error));
+            }
+        },
+
+        /**
+         * Create a blob from a
+         * binary array buffer.
+         *
+         * @param {Uint8Array} buffer binary array buffer.
+         * @param {string} type content type.
+         *
+         * @returns {Blob} data blob.
+         */
+        bufferToBlob(buffer, type)
+        {
+            return new Blob([ new Uint8Array(buffer, 0, buffer.length) ], { type });
+        },
+
+        /**
+         * Reads blob data from axios
+         * request for Graph API.
+         *
+         * @param {object} response request response.
+         *
+         * @returns {Promise<any>} promise waiting for blob data.
+         */
+        readBlob(response)
+        {
+            return new Promise((resolve) =>
+            {
+                const reader = new FileReader();
+                reader.readAsDataURL(response);
+                reader.onloadend = () =>
+                {
+                    resolve(reader.result);
+                };
+            });
+        },
+
+        /**
+         * Builds OData query params.
+         *
+         * @param {object} [query] OData query options.
+         * @param {string|Array<string>} [query.select] properties to retrieve.
+         * @param {string} [query.filter] filter expression.
+         * @param {string|Array<string>} [query.expand] related entities to include.
+         * @param {string|Array<string>} [query.orderBy] properties to sort by.
+         * @param {number} [query.top] page size.
+         * @param {string} [query.search] search expression, quoted if isn't.
+         * @param {boolean} [query.count] whether total count is included.
+         *
+         * @returns {object} query params.
+         */
+        buildQuery({ select, filter, expand, orderBy, top, search, count } = {})
+        {
+            const join = (value) => (Array.isArray(value) ? value.join(',') : value);
+            const params = {
+                $select: join(select),
+                $filter: filter,
+                $expand: join(expand),
+                $orderby: join(orderBy),
+                $top: top,
+                $search: search && !search.includes('"') ? `"${search}"` : search,
+                $count: count ? 'true' : undefined
+            };
+
+            return Object.fromEntries(
+                Object.entries(params).filter(([ , value ]) => value !== undefined && value !== null && value !== '')
+            );
+        },
+
+        /**
+         * Builds query headers, adding
+         * eventual consistency level for
+         * advanced queries ($search and $count).
+         *
+         * @param {object} [query] OData query options.
+         * @param {string} [query.search] search expression.
+         * @param {boolean} [query.count] whether total count is included.
+         * @param {string} [query.consistencyLevel] consistency level, i.e. 'eventual'.
+         *
+         * @returns {object|undefined} request headers.
+         */
+        buildQueryHeaders({ search, count, consistencyLevel } = {})
+        {
+            const level = consistencyLevel ?? (search || count ? 'eventual' : undefined);
+
+            return level ? { ConsistencyLevel: level } : undefined;
+        },
+
+        /**
+         * Queries a Graph resource
+         * using OData query options.
+         *
+         * @see https://docs.microsoft.com/en-us/graph/query-parameters
+         *
+         * @param {string} path Graph resource, i.e. 'users' or 'me/memberOf'.
+         * @param {object} [query] OData query options (select, filter, expand,
+         *  orderBy, top, search, count and consistencyLevel), and token scopes.
+         *
+         * @returns {Promise<any>} response data, with value
+         *  and @odata.nextLink for collections.
+         */
+        query(path, query = {})
+        {
+            return service.graphRequest({
+                api: path,
+                params: service.buildQuery(query),
+                headers: service.buildQueryHeaders(query),
+                scopes: query.scopes
+            });
+        },
+
+        /**
+         * Retrieves the next page from
+         * a collection response, following
+         * its @odata.nextLink.
+         *
+         * @param {object} page collection response.
+         * @param {object} [query] OData query options, for headers and token scopes.
+         *
+         * @returns {Promise<any>} next page, or null if page is the last one.
+         */
+        async fetchNextPage(page, query = {})
+        {
+            const nextLink = page?.['@odata.nextLink'];
+
+            if (!nextLink)
+                return null;
+
+            return service.graphRequest({
+                api: nextLink.startsWith(service.URL) ? nextLink.slice(service.URL.length) : nextLink,
+                headers: service.buildQueryHeaders(query),
+                scopes: query.scopes
+            });
+        },
+
+        /**
+         * Queries a Graph collection and
+         * retrieves every page, following
+         * its next page links.
+         *
+         * @param {string} path Graph resource.
+         * @param {object} [query] OData query options.
+         * @param {Function} [onPage] called with every page items,
+         *  stops iterating if returns false.
+         *
+         * @returns {Promise<Array<any>>} items from every page.
+         */
+        async iterateAll(path, query = {}, onPage)
+        {
+            const items = [];
+            let page = await service.query(path, query);
+
+            while (page)
+            {
+                const value = page.value ?? [];
+                items.push(...value);
+
+                if (onPage?.(value, page) === false)
+                    break;
+
+                page = await service.fetchNextPage(page, query);
+            }
+
+            return items;
+        },
+
+        /**
+         * Retrieves current account groups identifiers,
+         * from groups claim if present, or from Graph
+         * memberOf (or transitiveMemberOf) otherwise,
+         * i.e. on groups overage.
+         *
+         * @param {object} [options] options.
+         * @param {boolean} [options.transitive] whether nested groups
+         *  memberships are included from Graph.
+         *
+         * @returns {Promise<Array<string>>} groups identifiers.
+         */
+        async getGroups({ transitive = false } = {})
+        {
+            const groups = authService.getGroups?.();
+
+            if (groups)
+                return groups;
+
+            const memberships = await service.iterateAll(
+                transitive ? 'me/transitiveMemberOf' : 'me/memberOf',
+                { select: 'id', top: 999 }
+            );
+
+            // memberships also include directory roles and administrative units.
+            return memberships
+                .filter((membership) => membership['@odata.type'] === '#microsoft.graph.group')
+                .map(({ id }) => id);
+        },
+
+        /**
+         * Builds account info query params,
+         * using accountInfo config as default.
+         *
+         * @param {object} [options] account info options.
+         * @param {string|Array<string>} [options.select] profile attributes.
+         * @param {string|Array<string>} [options.expand] related entities, i.e. 'manager'.
+         * @param {Array<string>} [options.extensionAttributes] directory extension attributes.
+         *
+         * @returns {object} query params.
+         */
+        accountInfoQuery({ select, expand, extensionAttributes } = {})
+        {
+            const defaults = authService.baseConfig?.framework.accountInfo ?? {};
+            const attributes = [
+                ...toList(select ?? defaults.select ?? types.ATTRIBUTES),
+                ...toList(extensionAttributes ?? defaults.extensionAttributes)
+            ];
+
+            return service.buildQuery({ select: [ ...new Set(attributes) ], expand: expand ?? defaults.expand });
+        },
+
+        /**
+         * User info.
+         *
+         * @param {object} [options] account info options (select,
+         *  expand and extensionAttributes), accountInfo config by default.
+         *
+         * @returns {any} user info from AAD, or development
+         *  persona profile if authentication is disabled.
+         */
+        me(options)
+        {
+            const persona = authService.getPersona?.();
+
+            if (persona)
+                return Promise.resolve(persona.profile);
+
+            return service.graphRequest({ api: 'me', params: service.accountInfoQuery(options) });
+        },
+
+        /**
+         * User photo in max width.
+         *
+         * @returns {string} base64 string from user photo,
+         *  or development persona avatar.
+         */
+        photo()
+        {
+            const persona = authService.getPersona?.();
+
+            if (persona)
+                return Promise.resolve(persona.avatar);
+
+            return new Promise((resolve, reject) =>
+            {
+                service.graphRequest({ api: 'me/photo/$value', responseType: 'arraybuffer' })
+                    .then((response) => resolve(service.readBlob(service.bufferToBlob(response, 'image/jpeg'))))
+                    .catch((error) => reject(error));
+            });
+        },
+
+        /**
+         * User photo with specified width.
+         *
+         * Available sizes are: 48x48, 64x64, 96x96, 120x120,
+         * 240x240, 360x360, 432x432, 504x504 and 648x648.
+         *
+         * @param {string} [size] photo size.
+         *
+         * @returns {string} base64 string from user photo,
+         *  or development persona avatar.
+         */
+        photoWithSize(size = '648x648')
+        {
+            const persona = authService.getPersona?.();
+
+            if (persona)
+                return Promise.resolve(persona.avatar);
+
+            return new Promise((resolve, reject) =>
+            {
+                service.graphRequest({ api: `me/photos/${size}/$value`, responseType: 'arraybuffer' })
+                    .then((response) => resolve(service.readBlob(service.bufferToBlob(response, 'image/jpeg'))))
+                    .catch((error) => reject(error));
+            });
+        },
+
+        /**
+         * Any user photo with specified width.
+         *
+         * @param {string} userId user identifier or userPrincipalName.
+         * @param {string} [size] photo size, like photoWithSize.
+         *
+         * @throws {Error} on request failure, except missing photo.
+         *
+         * @returns {Promise<string>} base64 string from user photo,
+         *  or null if user has no photo.
+         */
+        async userPhoto(userId, size = '648x648')
+        {
+            try
+            {
+                const response = await service.graphRequest({
+                    api: `users/${encodeURIComponent(userId)}/photos/${size}/$value`,
+                    responseType: 'arraybuffer',
+                    scopes: [ types.SCOPES.USER.READ_BASIC ]
+                });
+
+                return await service.readBlob(service.bufferToBlob(response, 'image/jpeg'));
+            }
+            catch (error)
+            {
+                if (error.response?.status === 404)
+                    return null;
+
+                throw error;
+            }
+        },
+
+        /**
+         * Searches directory users by display
+         * name, mail or userPrincipalName.
+         *
+         * @param {string} text search text.
+         * @param {object} [options] options.
+         * @param {string|Array<string>} [options.select] user attributes.
+         * @param {number} [options.top] max users.
+         *
+         * @returns {Promise<Array<object>>} users found.
+         */
+        async searchUsers(text, { select = 'id,displayName,mail,userPrincipalName,jobTitle', top = 10 } = {})
+        {
+            // double quotes are reserved in search expressions.
+            const term = text.replace(/"/g, '');
+            const { value } = await service.query('users', {
+                search: [ 'displayName', 'mail', 'userPrincipalName' ].map((field) => `"${field}:${term}"`).join(' OR '),
+                select,
+                top,
+                orderBy: 'displayName',
+                scopes: [ types.SCOPES.USER.READ_BASIC ]
+            });
+
+            return value;
+        },
+
+        /**
+         * Current account manager.
+         *
+         * @param {object} [options] options.
+         * @param {string|Array<string>} [options.select] user attributes.
+         *
+         * @throws {Error} on request failure, except missing manager.
+         *
+         * @returns {Promise<object>} manager, or null if account has no manager.
+         */
+        async manager({ select } = {})
+        {
+            try
+            {
+                return await service.query('me/manager', { select });
+            }
+            catch (error)
+            {
+                if (error.response?.status === 404)
+                    return null;
+
+                throw error;
+            }
+        },
+
+        /**
+         * Current account direct reports,
+         * following every page.
+         *
+         * @param {object} [options] options.
+         * @param {string|Array<string>} [options.select] user attributes.
+         *
+         * @returns {Promise<Array<object>>} direct reports.
+         */
+        directReports({ select } = {})
+        {
+            return service.iterateAll('me/directReports', { select, scopes: [ types.SCOPES.USER.READ_BASIC ] });
+        }
+    };
+
+    return service;
+}
+
+// default Graph service instance.
+const GraphService = createGraphService(AuthenticationService);
 
 export default GraphService;
@@ -0,0 +1,132 @@
+import axios from 'axios';
+import { createFakeGraph, createMockAuth } from '../../testing';
+import { createGraphService } from './aad-graph.service';
+
+const graph = createFakeGraph({ me: { displayName: 'Jane Doe' } });
+
+beforeAll(() => graph.install());
+afterAll(() => graph.restore());
+beforeEach(() => graph.requests.splice(0));
+
+describe('automatic batching', () =>
+{
+    test('collects requests in the same tick', async () =>
+    {
+        const graphService = createGraphService(createMockAuth({ config: { graphBatching: true } }).service);
+
+        const results = await Promise.all([
+            graphService.graphRequest({ api: 'me', method: 'get' }),
+            graphService.graphRequest({ api: 'me', method: 'get' })
+        ]);
+
+        expect(results.map(({ displayName }) => displayName)).toEqual([ 'Jane Doe', 'Jane Doe' ]);
+        expect(graph.requests.filter(({ path }) => path === '$batch')).toHaveLength(1);
+    });
+
+    test('sends requests with retry or signal alone', async () =>
+    {
+        const graphService = createGraphService(createMockAuth({ config: { graphBatching: true } }).service);
+        const batch = jest.spyOn(graphService, 'batch');
+
+        await Promise.all([
+            graphService.graphRequest({ api: 'me', method: 'get', retry: false }),
+            graphService.graphRequest({ api: 'me', method: 'get', signal: new AbortController().signal }),
+            graphService.graphRequest({ api: 'me', method: 'get' })
+        ]);
+
+        expect(batch).not.toHaveBeenCalled();
+        expect(graph.requests.filter(({ path }) => path === 'me')).toHaveLength(3);
+    });
+});
+
+test('batch sends chunks of 20 requests, reporting every sub-request result', async () =>
+{
+    const graphService = createGraphService(createMockAuth().service);
+    const requests = Array.from({ length: 25 }, (_, i) => ({ api: i === 21 ? 'me/missing' : 'me' }));
+
+    const results = await graphService.batch(requests, { retry: false });
+
+    expect(graph.requests.filter(({ path }) => path === '$batch')).toHaveLength(2);
+    expect(results).toHaveLength(25);
+    expect(results[0].data.displayName).toBe('Jane Doe');
+    expect(results[24].data.displayName).toBe('Jane Doe');
+    expect(results.filter(({ error }) => error)).toHaveLength(1);
+    expect(results[21].error.response.status).toBe(404);
+});
+
+describe('getGroups', () =>
+{
+    test('returns groups claim without Graph requests', async () =>
+    {
+        const graphService = createGraphService(createMockAuth({ claims: { groups: [ 'group-1' ] } }).service);
+
+        expect(await graphService.getGroups()).toEqual([ 'group-1' ]);
+        expect(graph.requests).toHaveLength(0);
+    });
+
+    test('falls back to Graph memberships on groups overage, following every page', async () =>
+    {
+        const graphService = createGraphService(createMockAuth({ claims: { hasgroups: true } }).service);
+
+        graph.route('GET', 'me/transitiveMemberOf', ({ query }) => (query.$skiptoken
+            ? { value: [ { '@odata.type': '#microsoft.graph.group', id: 'group-2' } ] }
+            : {
+                value: [
+                    { '@odata.type': '#microsoft.graph.group', id: 'group-1' },
+                    { '@odata.type': '#microsoft.graph.directoryRole', id: 'role-1' }
+                ],
+                '@odata.nextLink': 'https://graph.microsoft.com/v1.0/me/transitiveMemberOf?$select=id&$skiptoken=page-2'
+            }));
+
+        expect(await graphService.getGroups({ transitive: true })).toEqual([ 'group-1', 'group-2' ]);
+        expect(graph.requests.filter(({ path }) => path === 'me/transitiveMemberOf')).toHaveLength(2);
+    });
+});
+
+test('requests users with User.ReadBasic.All scope alone', async () =>
+{
+    const mock = createMockAuth({ config: { graphBatching: true } });
+    const graphService = createGraphService(mock.service);
+    const acquireToken = jest.spyOn(mock.service, 'acquireToken');
+
+    graph.route('GET', 'users', () => ({ value: [ { id: '1' } ] }));
+    graph.route('GET', 'me/directReports', () => ({ value: [ { id: '2' } ] }));
+
+    await Promise.all([
+        graphService.searchUsers('Jane'),
+        graphService.userPhoto('1'),
+        graphService.directReports()
+    ]);
+
+    expect(acquireToken.mock.calls.map(([ { scopes } ]) => scopes)).toEqual(Array(3).fill([ 'user.readbasic.all' ]));
+    expect(graph.requests.some(({ path }) => path === '$batch')).toBe(false);
+});
+
+test('requests absolute next page links as is', async () =>
+{
+    const graphService = createGraphService(createMockAuth({ config: { graphBatching: true } }).service);
+    const nextLink = 'https://graph.microsoft.com/beta/users?$skiptoken=abc';
+    const adapter = jest.fn(async (config) => ({ data: { value: [] }, status: 200, headers: {}, config }));
+
+    axios.defaults.adapter = adapter;
+
+    try
+    {
+        await graphService.fetchNextPage({ '@odata.nextLink': nextLink });
+    }
+    finally
+    {
+        axios.defaults.adapter = graph.adapter;
+    }
+
+    expect(adapter).toHaveBeenCalledWith(expect.objectContaining({ url: nextLink }));
+});
+
+test('qualifies Graph scope in national clouds', () =>
+{
+    expect(createGraphService(createMockAuth().service).getScopes()).toEqual([ 'user.read' ]);
+    expect(createGraphService(createMockAuth({ config: { cloud: 'usgov' } }).service).getScopes())
+        .toEqual([ 'https://graph.microsoft.us/user.read' ]);
+    expect(createGraphService(createMockAuth({ config: { cloud: 'usgov' } }).service).getScopes([ 'user.readbasic.all' ]))
+        .toEqual([ 'https://graph.microsoft.us/user.readbasic.all' ]);
+});
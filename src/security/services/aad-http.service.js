@@ -0,0 +1,112 @@
+/**
+ * Secure HTTP client, attaching access
+ * tokens to protected resources requests.
+ *
+ * @summary Token-attaching axios client.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 11:48:52
+ * Last modified  : 2026-10-19 19:48:27
+ */
+
+import axios from 'axios';
+import AuthenticationService from './aad.service';
+
+// absolute URL pattern, i.e. https://...
+const ABSOLUTE_URL = /^[a-z][a-z\d+\-.]*:\/\//i;
+
+/**
+ * Resolves absolute request URL
+ * from axios request config.
+ *
+ * @param {object} config axios request config.
+ * @param {string} [config.url] request URL.
+ * @param {string} [config.baseURL] request base URL.
+ *
+ * @returns {string} absolute URL.
+ */
+function resolveUrl({ url = '', baseURL })
+{
+    if (ABSOLUTE_URL.test(url))
+        return url;
+
+    const base = baseURL
+        ? `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`
+        : url;
+
+    return new URL(base, window.location.origin).href;
+}
+
+/**
+ * Creates an axios instance that attaches
+ * a bearer token on every request to a
+ * resource declared in protectedResourceMap
+ * config, with its mapped scopes.
+ *
+ * Unprotected or unmapped resources are
+ * requested without token. On 401 response,
+ * request is retried once with a renewed token.
+ * Token acquisition failures reject the
+ * request with an AuthError.
+ *
+ * @export
+ *
+ * @param {object} [config] axios instance config.
+ * @param {object} [authService] authentication service.
+ *
+ * @returns {object} axios instance.
+ */
+export function createSecureClient(config = {}, authService = AuthenticationService)
+{
+    const client = axios.create(config);
+
+    /**
+     * Acquires an access token for the
+     * request resource and attaches it.
+     *
+     * @param {object} request axios request config.
+     * @param {boolean} [forceTokenRefresh] forces to renew token.
+     *
+     * @returns {Promise<object>} request config.
+     */
+    const attachToken = async (request, forceTokenRefresh = false) =>
+    {
+        const scopes = authService.getResourceScopes(resolveUrl(request));
+
+        if (!scopes)
+            return request;
+
+        const response = await authService.acquireToken({ scopes, forceTokenRefresh });
+
+        if (response?.accessToken)
+        {
+            request.headers = {
+                ...request.headers,
+                Authorization: `Bearer ${response.accessToken}`
+            };
+        }
+
+        return request;
+    };
+
+    // retried requests forces token renewal.
+    client.interceptors.request.use((request) => attachToken(request, !!request.tokenRetried));
+
+    client.interceptors.response.use(
+        (response) => response,
+        async (error) =>
+        {
+            const request = error.config;
+
+            // retries once with a renewed token.
+            if (error.response?.status !== 401 || !request || request.tokenRetried)
+                throw error;
+
+            request.tokenRetried = true;
+
+            return client.request(request);
+        }
+    );
+
+    return client;
+}
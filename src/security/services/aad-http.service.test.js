@@ -0,0 +1,100 @@
+import { createMockAuth } from '../../testing';
+import { createSecureClient } from './aad-http.service';
+
+const config = {
+    protectedResourceMap: {
+        'https://api.contoso.com': [ 'api://contoso/read' ],
+        'https://api.contoso.com/admin': [ 'api://contoso/admin' ]
+    },
+    unprotectedResources: [ 'https://api.contoso.com/public' ]
+};
+
+/**
+ * Creates a secure client with an adapter
+ * recording requests Authorization header.
+ *
+ * @param {object} service authentication service.
+ * @param {Function} [respond] response status by request number.
+ *
+ * @returns {object} client and received requests.
+ */
+function createClient(service, respond = () => 200)
+{
+    const requests = [];
+
+    const adapter = async (request) =>
+    {
+        requests.push({ url: request.url, authorization: request.headers.Authorization });
+
+        const response = { status: respond(requests.length), data: null, headers: {}, config: request };
+
+        if (response.status >= 400)
+            throw Object.assign(new Error(`Request failed with status code ${response.status}`), { config: request, response });
+
+        return response;
+    };
+
+    return { client: createSecureClient({ adapter }, service), requests };
+}
+
+describe('getResourceScopes', () =>
+{
+    const { service } = createMockAuth({ config });
+
+    test('matches longest resource on path segment boundary', () =>
+    {
+        expect(service.getResourceScopes('https://api.contoso.com')).toEqual([ 'api://contoso/read' ]);
+        expect(service.getResourceScopes('https://api.contoso.com/users?top=1')).toEqual([ 'api://contoso/read' ]);
+        expect(service.getResourceScopes('https://api.contoso.com/admin/users')).toEqual([ 'api://contoso/admin' ]);
+        expect(service.getResourceScopes('https://api.contoso.com/administrators')).toEqual([ 'api://contoso/read' ]);
+    });
+
+    test('doesn\'t match other origins', () =>
+    {
+        expect(service.getResourceScopes('https://api.contoso.com.evil.net/steal')).toBe(null);
+        expect(service.getResourceScopes('https://api.contoso.com:8443/users')).toBe(null);
+        expect(service.getResourceScopes('http://api.contoso.com/users')).toBe(null);
+    });
+
+    test('doesn\'t return scopes for unprotected resources', () =>
+    {
+        expect(service.getResourceScopes('https://api.contoso.com/public/news')).toBe(null);
+        expect(service.getResourceScopes('https://api.contoso.com/publications')).toEqual([ 'api://contoso/read' ]);
+    });
+});
+
+describe('createSecureClient', () =>
+{
+    test('attaches token only to protected resources', async () =>
+    {
+        const mock = createMockAuth({ config, tokens: { 'api://contoso/read': 'api-token' } });
+        const { client, requests } = createClient(mock.service);
+
+        await client.get('https://api.contoso.com/users');
+        await client.get('https://api.contoso.com/public/news');
+        await client.get('https://api.contoso.com.evil.net/steal');
+
+        expect(requests.map(({ authorization }) => authorization)).toEqual([ 'Bearer api-token', undefined, undefined ]);
+    });
+
+    test('retries once with a renewed token on 401', async () =>
+    {
+        const mock = createMockAuth({ config });
+        const acquireToken = jest.spyOn(mock.service, 'acquireToken');
+        const { client, requests } = createClient(mock.service, () => 401);
+
+        await expect(client.get('https://api.contoso.com/users')).rejects.toMatchObject({ response: { status: 401 } });
+
+        expect(requests).toHaveLength(2);
+        expect(acquireToken.mock.calls.map(([ { forceTokenRefresh } ]) => forceTokenRefresh)).toEqual([ false, true ]);
+    });
+
+    test('resolves retried request after 401', async () =>
+    {
+        const mock = createMockAuth({ config });
+        const { client, requests } = createClient(mock.service, (count) => (count === 1 ? 401 : 200));
+
+        await expect(client.get('https://api.contoso.com/users')).resolves.toMatchObject({ status: 200 });
+        expect(requests).toHaveLength(2);
+    });
+});
@@ -1,432 +1,1273 @@
 /**
  * MSAL Microsoft Authentication service.
  *
+ * Uses authorization code flow with PKCE,
+ * so tokens are renewed with refresh tokens
+ * instead of hidden iframes (implicit grant).
+ *
  * @summary MSAL service wrapper.
  * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
  *
  * Created at     : 2020-05-23 19:53:33
- * Last modified  : 2021-05-19 17:51:37
+ * Last modified  : 2026-10-20 10:04:38
  */
 
-import * as Msal from 'msal';
+import { CacheLookupPolicy, PublicClientApplication } from '@azure/msal-browser';
+import axios from 'axios';
+import {
+    AuthDisabledError,
+    AuthError,
+    InteractionRequiredError,
+    PasswordResetRequiredError,
+    TenantNotAllowedError,
+    toAuthError
+} from '../auth.errors';
+import { clear, clearLegacy } from '../cache.util';
 import { createConfig, types } from '../config';
-import Observer from '../observer.util';
-
-const AuthenticationService = {
-
-    // MSAL base config
-    baseConfig: null,
-
-    // MSAL authentication context
-    context: null,
-
-    // handles hook listeners for state changes
-    observer: new Observer(),
-
-    // stores session state, authenticated, authenticating and error
-    state: {},
-
-    // stores current token acquisition
-    // request for singleton behaviour
-    acquireTokenPromise: null,
-
-    // stores authentication process
-    // request for singleton behaviour
-    authenticatingPromise: null,
-
-    /**
-     * Initializes MSAL authentication context.
-     *
-     * All config properties accepts
-     * environment variables values.
-     *
-     * @param {object} config MSAL auth config.
-     * @param {string} config.tenantId organization Azure Object Id.
-     * @param {string} config.clientId application Azure Object Id.
-     * @param {string} config.loginActionRedirect redirect path after login.
-     *  If navigateToRequestAfterLogin is false.
-     * @param {string} config.logoutActionRedirect redirect path after logout.
-     * @param {string} config.tokenRefreshUri path for renew auth token.
-     *  Should be a empty page (null React component) and should be added to
-     *  authentication routes in Azure App Registration.
-     * @param {number} config.tokenRenewalOffset token renewal interval.
-     * @param {string} config.navigateToRequestAfterLogin whether app redirects to previous path after login.
-     * @param {boolean} [disabled] whether authentication is disabled globally.
-     */
-    init(config, disabled)
+import EventBus from '../event-bus.util';
+import { createPersona } from '../persona.util';
+import SessionSync from '../session-sync.util';
+import TokenRenewalScheduler from '../token-renewal.util';
+
+/**
+ * Whether a URL belongs to a resource, with
+ * the same origin and a path under resource
+ * path on a segment boundary (i.e. /api
+ * matches /api/users, but not /apikeys).
+ *
+ * @param {URL} url resource URL.
+ * @param {string} resource resource URL or path from config.
+ *
+ * @returns {boolean} true if URL belongs to resource.
+ */
+function matchesResource(url, resource)
+{
+    let base;
+
+    try
+    {
+        base = new URL(resource, window.location.origin);
+    }
+    catch
     {
-        AuthenticationService.disabled = disabled;
+        return false;
+    }
+
+    const path = base.pathname.replace(/\/+$/, '');
+
+    return url.origin === base.origin
+        && (url.pathname === path || url.pathname.startsWith(`${path}/`));
+}
+
+/**
+ * Creates a new MSAL authentication
+ * service instance, allowing many
+ * app registrations in the same page.
+ *
+ * @export
+ *
+ * @returns {object} authentication service.
+ */
+export function createAuthenticationService()
+{
+    const service = {
+        // MSAL base config
+        baseConfig: null,
 
-        if (disabled)
+        // MSAL authentication context
+        context: null,
+
+        // handles listeners for state changes and
+        // authentication events (types.EVENT)
+        events: new EventBus(),
+
+        // stores session state, authenticated, authenticating and error
+        state: {},
+
+        // stores redirect response handling,
+        // every interaction should wait for it
+        redirectPromise: null,
+
+        // stores authentication process
+        // request for singleton behaviour
+        authenticatingPromise: null,
+
+        // background token renewal, if enabled
+        renewal: null,
+
+        // cross-tab session synchronization, if enabled
+        sync: null,
+
+        // development persona, if authentication is disabled
+        persona: null,
+
+        // app cleanup callbacks, executed before logout
+        logoutHooks: new Set(),
+
+        /**
+         * Initializes MSAL authentication context.
+         *
+         * All config properties accepts
+         * environment variables values.
+         *
+         * @param {object} config MSAL auth config.
+         * @param {string} config.tenantId organization Azure Object Id.
+         * @param {string} config.clientId application Azure Object Id.
+         * @param {string} config.loginActionRedirect redirect path after login.
+         *  If navigateToRequestAfterLogin is false.
+         * @param {string} config.logoutActionRedirect redirect path after logout.
+         * @param {string} config.tokenRefreshUri path for renew auth token.
+         *  Should be a empty page (null React component) and should be added to
+         *  authentication routes in Azure App Registration.
+         * @param {number} config.tokenRenewalOffset token renewal interval.
+         * @param {boolean} [config.autoRenewToken] whether tokens are renewed in background.
+         * @param {boolean} [config.syncSession] whether session changes are synchronized across tabs.
+         * @param {string} config.navigateToRequestAfterLogin whether app redirects to previous path after login.
+         * @param {object|string} [config.devPersona] development persona for disabled
+         *  authentication (see setPersona).
+         * @param {boolean} [disabled] whether authentication is disabled globally.
+         *
+         * @throws {ConfigurationError} if config has invalid or missing fields.
+         */
+        init(config, disabled)
         {
-            AuthenticationService.context = null;
-        }
-        else
+            service.disabled = disabled;
+            service.stopBackgroundTasks();
+            service.sync = null;
+            service.persona = null;
+
+            if (disabled)
+            {
+                service.context = null;
+                service.redirectPromise = Promise.resolve(null);
+                service.setState({ authenticated: true, authenticating: false });
+                service.setPersona(config?.devPersona);
+
+                return;
+            }
+
+            service.baseConfig = createConfig(config);
+            service.context = new PublicClientApplication(service.baseConfig);
+
+            service.startBackgroundTasks();
+
+            // initializes session state
+            service.setState({
+                authenticated: !!service.getAccount(),
+                authenticating: true,
+                accountId: service.getId() ?? null
+            });
+
+            // handles authentication response on redirect back.
+            service.redirectPromise = service.context.handleRedirectPromise()
+                .then((response) =>
+                {
+                    if (response?.account)
+                        service.loginSucceeded(response);
+
+                    service.setState({
+                        authenticating: false,
+                        authenticated: !!service.getAccount(),
+                        accountId: service.getId() ?? null
+                    });
+
+                    return response;
+                })
+                .catch((error) =>
+                {
+                    const authError = toAuthError(error);
+
+                    // B2C "forgot password" link, switches to reset flow.
+                    if (authError instanceof PasswordResetRequiredError && service.getPolicyAuthority('passwordReset'))
+                    {
+                        service.resetPassword().catch(() => null);
+
+                        return null;
+                    }
+
+                    service.setState({
+                        authenticating: false,
+                        authenticated: !!service.getAccount(),
+                        accountId: service.getId() ?? null,
+                        error: authError
+                    });
+
+                    return null;
+                });
+        },
+
+        /**
+         * Performs an state updating,
+         * triggering state changed event
+         * if any change is detected.
+         * Also, notifies active account
+         * changes and errors.
+         *
+         * @param {object} changes partial session state.
+         * @param {object} changes.authenticated whether user is authenticated
+         * @param {object} changes.authenticating wheter authentication is in process
+         * @param {string} changes.error wheter exists any error on authentication
+         * @param {string} changes.accountId active account identifier
+         * @param {Error} changes.renewalError last background token renewal error
+         *
+         * @returns {object} session state.
+         */
+        setState: (changes) =>
         {
-            AuthenticationService.baseConfig = createConfig(config);
-            AuthenticationService.context = new Msal.UserAgentApplication(AuthenticationService.baseConfig);
-        }
+            let newState = { ...service.state, ...changes };
 
-        // initializes session state
-        AuthenticationService.setState({
-            authenticated: disabled || !!AuthenticationService.context.getAccount(),
-            authenticating: !disabled && AuthenticationService.context.getLoginInProgress()
-        });
-    },
-
-    /**
-     * Performs an state updating,
-     * triggering the observer if
-     * any change is detected.
-     *
-     * @param {object} changes partial session state.
-     * @param {object} changes.authenticated whether user is authenticated
-     * @param {object} changes.authenticating wheter authentication is in process
-     * @param {string} changes.error wheter exists any error on authentication
-     *
-     * @returns {object} session state.
-     */
-    setState: (changes) =>
-    {
-        let newState = { ...AuthenticationService.state, ...changes };
+            // validates internal changes
+            for (let key of Object.keys(newState))
+            {
+                if (service.state[key] !== newState[key])
+                {
+                    const previous = service.state;
+
+                    service.state = newState;
+                    service.events.trigger(service.state);
+
+                    if (previous.accountId !== newState.accountId)
+                        service.events.emit(types.EVENT.ACCOUNT_CHANGED, { account: service.getAccount() });
+
+                    if (newState.error && previous.error !== newState.error)
+                        service.events.emit(types.EVENT.ERROR, { error: newState.error });
+
+                    return service.state;
+                }
+            }
+
+            return service.state;
+        },
 
-        // validates internal changes
-        for (let key of Object.keys(newState))
+        /**
+         * Sets an authentication error in
+         * session state, ending authentication.
+         *
+         * @param {Error} error MSAL or authentication error.
+         *
+         * @returns {AuthError} authentication error.
+         */
+        setError(error)
         {
-            if (AuthenticationService.state[key] !== newState[key])
+            const authError = toAuthError(error);
+
+            service.setState({ authenticating: false, error: authError });
+
+            return authError;
+        },
+
+        /**
+         * Sets logged in account as active
+         * and notifies login success.
+         * Accounts from tenants not allowed
+         * are removed from cache.
+         *
+         * @param {object} response MSAL authentication result.
+         *
+         * @throws {TenantNotAllowedError} if account tenant isn't allowed.
+         *
+         * @returns {object} session state.
+         */
+        loginSucceeded(response)
+        {
+            const { account } = response;
+
+            if (!service.isTenantAllowed(account))
             {
-                AuthenticationService.state = newState;
-                AuthenticationService.observer.trigger(AuthenticationService.state);
+                service.context.logoutRedirect({ account, onRedirectNavigate: () => false })
+                    .catch(() => null)
+                    .then(() => service.setState({ authenticated: service.isAuthenticated(), accountId: service.getId() ?? null }));
 
-                return AuthenticationService.state;
+                throw service.setError(new TenantNotAllowedError(
+                    `Tenant '${account.tenantId}' isn't allowed.`,
+                    { code: 'tenant_not_allowed' }
+                ));
             }
-        }
 
-        return AuthenticationService.state;
-    },
-
-    /**
-     * Retrieves current access token cached.
-     *
-     * @param {object} [config] options.
-     * @param {Array} [config.scopes] array of scopes allowed.
-     *
-     * @throws {Error} on cache parse error.
-     *
-     * @returns {object} account with cached token.
-     */
-    acquireTokenInCache({ scopes = types.DEFAULT_SCOPES } = {})
-    {
-        if (AuthenticationService.disabled)
-            return null;
+            // B2C profile edition or password reset account,
+            // keeps sign-up/sign-in account as active.
+            if (service.isPolicyAccount(account))
+            {
+                return service.setState({
+                    authenticating: false,
+                    authenticated: service.isAuthenticated(),
+                    accountId: service.getId() ?? null
+                });
+            }
+
+            service.context.setActiveAccount(account);
+            service.events.emit(types.EVENT.LOGIN_SUCCESS, { account, response });
+
+            return service.setState({ authenticating: false, authenticated: true, accountId: service.getId() });
+        },
 
-        try
+        /**
+         * Notifies a token acquisition.
+         *
+         * @param {Array} scopes token scopes.
+         * @param {object} response MSAL authentication result.
+         *
+         * @returns {object} authentication result.
+         */
+        tokenAcquired(scopes, response)
         {
-            return AuthenticationService.context.getCachedTokenInternal(scopes, AuthenticationService.context.getAccount());
-        }
-        catch (error)
+            service.events.emit(types.EVENT.ACQUIRE_TOKEN_SUCCESS, { scopes, response });
+
+            return response;
+        },
+
+        /**
+         * Retrieves current access token cached,
+         * without refresh token or network usage.
+         *
+         * @param {object} [config] options.
+         * @param {Array} [config.scopes] array of scopes allowed.
+         *
+         * @returns {Promise<any>} cached token container, rejects
+         *  with AuthError (i.e. InteractionRequiredError) on failure.
+         */
+        acquireTokenInCache({ scopes = service.getDefaultScopes() } = {})
         {
-            if (error.errorCode === 'cannot_parse_cache')
-                window.localStorage.clear();
+            if (service.disabled)
+                return Promise.reject(new AuthDisabledError());
 
-            throw error;
-        }
-    },
-
-    /**
-     * Acquire new token for use.
-     * JWT Decoding page: @see https://jwt.io/
-     *
-     * @param {object} [config] options.
-     * @param {Array} [config.scopes] array of scopes allowed.
-     * @param {string} [config.loginHint] preset account email.
-     * @param {boolean} [config.forceTokenRefresh] forces to renew token on authentication.
-     *
-     * @returns {Promise<any>} token container.
-     */
-    acquireTokenSilent({ scopes = types.DEFAULT_SCOPES, loginHint, forceTokenRefresh } = {})
-    {
-        if (AuthenticationService.disabled)
-            return null;
+            return service.context.acquireTokenSilent({
+                scopes,
+                account: service.getAccount(),
+                cacheLookupPolicy: CacheLookupPolicy.AccessToken
+            })
+                .catch((error) =>
+                {
+                    throw toAuthError(error);
+                });
+        },
+
+        /**
+         * Acquire new token for use.
+         * Uses cached token, or renews it
+         * using refresh token if expired.
+         * JWT Decoding page: @see https://jwt.io/
+         *
+         * @param {object} [config] options.
+         * @param {Array} [config.scopes] array of scopes allowed.
+         * @param {string} [config.loginHint] signed in account email, current account by default.
+         * @param {boolean} [config.forceTokenRefresh] forces to renew token on authentication.
+         *
+         * @returns {Promise<any>} token container, rejects with
+         *  AuthError (i.e. InteractionRequiredError) on failure.
+         */
+        acquireTokenSilent({ scopes = service.getDefaultScopes(), loginHint, forceTokenRefresh } = {})
+        {
+            if (service.disabled)
+                return Promise.reject(new AuthDisabledError());
+
+            const account = loginHint
+                ? service.context.getAccountByUsername(loginHint)
+                : service.getAccount();
+
+            return service.context.acquireTokenSilent({
+                scopes,
+                account,
+                forceRefresh: !!forceTokenRefresh,
+                // iframe fallback if refresh token is expired.
+                redirectUri: service.baseConfig.auth.tokenRefreshUri
+            })
+                .then((response) => service.tokenAcquired(scopes, response))
+                .catch((error) =>
+                {
+                    const authError = toAuthError(error);
 
-        if (AuthenticationService.acquireTokenPromise && AuthenticationService.context.getAcquireTokenInProgress())
-            return AuthenticationService.acquireTokenPromise;
+                    service.events.emit(types.EVENT.SILENT_RENEWAL_FAILURE, { scopes, error: authError });
 
-        AuthenticationService.context.setAcquireTokenInProgress(true);
-        // sets token refresh uri as redirect uri for iframe load.
-        AuthenticationService.context.config.auth.redirectUri = AuthenticationService.baseConfig.auth.tokenRefreshUri;
+                    throw authError;
+                });
+        },
 
-        return (AuthenticationService.acquireTokenPromise = AuthenticationService.context.acquireTokenSilent({
+        /**
+         * Acquire new token using a popup,
+         * for consent or login. Should be used
+         * on user interaction (i.e. button push).
+         *
+         * @param {object} [config] options.
+         * @param {Array} [config.scopes] array of scopes allowed.
+         *
+         * @returns {Promise<any>} token container, rejects with
+         *  AuthError (i.e. LoginCancelledError) on failure.
+         */
+        acquireTokenPopup({ scopes = service.getDefaultScopes() } = {})
+        {
+            if (service.disabled)
+                return Promise.reject(new AuthDisabledError());
+
+            return service.redirectPromise
+                .then(() => service.context.acquireTokenPopup({ scopes, account: service.getAccount() }))
+                .then((response) => service.tokenAcquired(scopes, response))
+                .catch((error) =>
+                {
+                    throw toAuthError(error);
+                });
+        },
+
+        /**
+         * Acquire new token for use.
+         * If user interaction is required,
+         * redirects to Microsoft AD login
+         * by default.
+         * JWT Decoding page: @see https://jwt.io/
+         *
+         * @param {object} [config] options.
+         * @param {Array} [config.scopes] array of scopes allowed.
+         * @param {boolean} [config.forceTokenRefresh] forces to renew token from active directory.
+         * @param {string|boolean} [config.interactive] interaction type (types.INTERACTION_TYPE)
+         *  when interaction is required, or false for reject with InteractionRequiredError.
+         *
+         * @returns {Promise<any>} token container, rejects with AuthError
+         *  (i.e. NetworkError or AuthDisabledError) on failure.
+         */
+        acquireToken({
+            // resolved after redirect handling, as runtime config may be loading.
             scopes,
-            loginHint: loginHint ?? AuthenticationService.getUserName(),
-            forceRefresh: forceTokenRefresh
-        }))
-            .finally(() => AuthenticationService.context.setAcquireTokenInProgress(false));
-    },
-
-    /**
-     * Acquire new token for use.
-     * JWT Decoding page: @see https://jwt.io/
-     *
-     * @param {object} [config] options.
-     * @param {Array} [config.scopes] array of scopes allowed.
-     * @param {boolean} [config.forceTokenRefresh] forces to renew token from active directory.
-     *
-     * @returns {Promise<any>} token container.
-     */
-    acquireToken({ scopes = types.DEFAULT_SCOPES, forceTokenRefresh } = {})
-    {
-        return new Promise((resolve) =>
+            forceTokenRefresh,
+            interactive = types.INTERACTION_TYPE.REDIRECT
+        } = {})
         {
-            // tries to get cached token.
-            if (!forceTokenRefresh)
+            if (service.disabled)
+                return Promise.reject(new AuthDisabledError());
+
+            return new Promise((resolve, reject) =>
             {
-                const cached = AuthenticationService.acquireTokenInCache(scopes);
+                service.redirectPromise
+                    .then(() => service.acquireTokenSilent({ scopes, forceTokenRefresh }))
+                    .then((response) => resolve(response))
+                    .catch((error) =>
+                    {
+                        if (!interactive || !(error instanceof InteractionRequiredError))
+                            return reject(error);
 
-                if (cached && cached.accessToken && cached.idToken)
-                {
-                    resolve(cached);
-                }
-                else
+                        if (interactive === types.INTERACTION_TYPE.POPUP)
+                            return service.acquireTokenPopup({ scopes }).then(resolve, reject);
+
+                        // redirects for consent or login.
+                        service.context.acquireTokenRedirect({
+                            scopes: scopes ?? service.getDefaultScopes(),
+                            account: service.getAccount(),
+                            redirectStartPage: window.location.href
+                        })
+                            .catch(reject);
+                    });
+            })
+                .catch((error) =>
                 {
-                    AuthenticationService.acquireTokenSilent({ scopes, forceTokenRefresh: true })
-                        .then((account) => resolve(account))
-                        .catch(() => AuthenticationService.login());
-                }
-            }
-            else
+                    const authError = toAuthError(error);
+
+                    service.events.emit(types.EVENT.ERROR, { error: authError });
+
+                    throw authError;
+                });
+        },
+
+        /**
+         * Starts background renewal of acquired
+         * tokens, before its expiration less
+         * tokenRenewalOffset. Pauses while tab
+         * is hidden or offline, and renewal
+         * failures are set as renewalError
+         * in session state.
+         */
+        startTokenRenewal()
+        {
+            if (service.disabled)
+                return;
+
+            service.renewal = service.renewal ?? new TokenRenewalScheduler(service);
+            service.renewal.start();
+        },
+
+        /**
+         * Stops background token renewal.
+         */
+        stopTokenRenewal()
+        {
+            service.renewal?.stop();
+        },
+
+        /**
+         * Starts (or restarts) configured
+         * background tasks, token renewal
+         * and cross-tab session sync.
+         */
+        startBackgroundTasks()
+        {
+            if (service.disabled || !service.baseConfig)
+                return;
+
+            if (service.baseConfig.framework.autoRenewToken)
+                service.startTokenRenewal();
+
+            if (service.baseConfig.framework.syncSession)
             {
-                AuthenticationService.acquireTokenSilent({ scopes, forceTokenRefresh })
-                    .then((account) => resolve(account))
-                    .catch(() => AuthenticationService.login());
+                service.sync = service.sync ?? new SessionSync(service);
+                service.sync.start();
             }
-        })
-            .catch((error) => AuthenticationService.Error = error);
-    },
-
-    /**
-     * Single Sign-On flow.
-     *
-     * @param {object} [config] options.
-     * @param {Array} [config.scopes] array of scopes allowed.
-     * @param {string} [config.loginHint] preset account email.
-     *
-     * @returns {object} authentication state.
-     */
-    sso({
-        scopes = types.DEFAULT_SCOPES,
-        loginHint
-    } = {})
-    {
-        if (AuthenticationService.disabled)
-            return null;
+        },
 
-        AuthenticationService.setState({ authenticating: true });
+        /**
+         * Stops background tasks, token
+         * renewal and cross-tab session sync.
+         */
+        stopBackgroundTasks()
+        {
+            service.stopTokenRenewal();
+            service.sync?.stop();
+        },
 
-        return new Promise((resolve, reject) =>
+        /**
+         * Single Sign-On flow.
+         *
+         * @param {object} [config] options.
+         * @param {Array} [config.scopes] array of scopes allowed.
+         * @param {string} [config.loginHint] preset account email.
+         *
+         * @returns {Promise<object>} authentication state, rejects with AuthError on failure.
+         */
+        sso({
+            scopes = service.getDefaultScopes(),
+            loginHint
+        } = {})
         {
-            AuthenticationService.context.ssoSilent({ loginHint, scopes })
-                .then(() => resolve(AuthenticationService.setState({ authenticating: false, authenticated: true })))
-                .catch(() =>
+            if (service.disabled)
+                return Promise.resolve(service.state);
+
+            service.setState({ authenticating: true });
+
+            return service.context.ssoSilent({ loginHint, scopes, redirectUri: service.baseConfig.auth.tokenRefreshUri })
+                .then(
+                    // login succeeded errors (i.e. TenantNotAllowedError)
+                    // doesn't fallback to interactive login.
+                    (response) => service.loginSucceeded(response),
+                    () => service.login({ loginHint, scopes })
+                        .then(() => service.setState({ authenticating: false, authenticated: true }))
+                );
+        },
+
+        /**
+         * Redirect to Microsoft AD login if user isn't authenticated.
+         * On finishing, redirect to redirectUri.
+         *
+         * @param {object} [config] options.
+         * @param {string} [config.type] login type (redirect or popup).
+         *  Avoid using POPUP type on programatic/automatic login, should be used
+         *  on user interaction (i.e. button push, page navigation triggered by user, etc.)
+         * @param {Array} [config.scopes] permission scopes.
+         * @param {string} [config.loginHint] preset account email.
+         * @param {string} [config.returnUrl] URL navigated after redirect login,
+         *  if navigateToRequestAfterLogin is true. Current URL by default.
+         * @param {string} [config.policy] B2C user-flow policy key, signUpSignIn by default.
+         *
+         * @returns {Promise<object>} authentication state, rejects with AuthError
+         *  (i.e. LoginCancelledError) on failure.
+         */
+        login({
+            type = types.LOGIN_TYPE.REDIRECT,
+            scopes: requestedScopes,
+            loginHint,
+            returnUrl,
+            policy
+        } = {})
+        {
+            if (service.disabled)
+                return Promise.resolve(service.state);
+
+            // prevents multiple authentication processes.
+            if (service.authenticatingPromise)
+                return service.authenticatingPromise;
+
+            return (service.authenticatingPromise = new Promise((resolve, reject) =>
+            {
+                // waits for redirect response handling.
+                service.redirectPromise.then(() =>
                 {
-                    AuthenticationService.login({ loginHint, scopes, forceTokenRefresh: true })
-                        .then(() => resolve(AuthenticationService.setState({ authenticating: false, authenticated: true })))
-                        .catch((error) => reject(AuthenticationService.setState({ authenticating: false, error })));
-                });
-        });
-    },
-
-    /**
-     * Redirect to Microsoft AD login if user isn't authenticated.
-     * On finishing, redirect to redirectUri.
-     *
-     * @param {object} [config] options.
-     * @param {string} [config.type] login type (redirect or popup).
-     *  Avoid using POPUP type on programatic/automatic login, should be used
-     *  on user interaction (i.e. button push, page navigation triggered by user, etc.)
-     * @param {Array} [config.scopes] permission scopes.
-     * @param {string} [config.loginHint] preset account email.
-     * @param {boolean} [config.forceTokenRefresh] forces to renew token on authentication.
-     *
-     * @returns {object} authentication state.
-     */
-    login({
-        type = types.LOGIN_TYPE.REDIRECT,
-        scopes = types.DEFAULT_SCOPES,
-        loginHint,
-        forceTokenRefresh = false
-    } = {})
-    {
-        if (AuthenticationService.disabled)
-            return null;
+                    if (service.isAuthenticated())
+                        return resolve(service.setState({ authenticating: false, authenticated: true }));
 
-        // prevents multiple authentication processes.
-        if (AuthenticationService.AuthenticatingPromise)
-            return AuthenticationService.AuthenticatingPromise;
+                    // resolved here, as runtime config may be loading before.
+                    const scopes = requestedScopes ?? service.getDefaultScopes();
+                    const authority = service.getPolicyAuthority(policy) ?? undefined;
 
-        return (AuthenticationService.AuthenticatingPromise = new Promise((resolve, reject) =>
+                    service.setState({ authenticating: true });
+
+                    service.context.ssoSilent({ scopes, loginHint, authority, redirectUri: service.baseConfig.auth.tokenRefreshUri })
+                        .then((response) =>
+                        {
+                            // login succeeded errors (i.e. TenantNotAllowedError)
+                            // doesn't fallback to interactive login.
+                            resolve(service.loginSucceeded(response));
+                        }, () =>
+                        {
+                            // redirect method login, response is
+                            // handled on init after redirect back.
+                            return service.context[type]({
+                                scopes,
+                                loginHint,
+                                authority,
+                                redirectStartPage: returnUrl ?? window.location.href
+                            })
+                                // in popup case. Avoid to use on automatic login.
+                                .then((response) =>
+                                {
+                                    if (!response)
+                                        return;
+
+                                    resolve(service.loginSucceeded(response));
+                                })
+                                .catch((error) => service.loginFailed(error, { type, scopes }).then(resolve, reject));
+                        })
+                        .catch(reject);
+                }, reject);
+            })
+                .finally(() => service.authenticatingPromise = null));
+        },
+
+        /**
+         * Handles interactive login failure, switching
+         * to B2C password reset flow when user selects
+         * "forgot password" link.
+         *
+         * @param {Error} error MSAL error.
+         * @param {object} options login options.
+         * @param {string} options.type login type (redirect or popup).
+         * @param {Array} options.scopes permission scopes.
+         *
+         * @returns {Promise<object>} password reset authentication state,
+         *  rejects with AuthError in otherwise.
+         */
+        loginFailed(error, { type, scopes })
+        {
+            const authError = toAuthError(error);
+
+            if (authError instanceof PasswordResetRequiredError && service.getPolicyAuthority('passwordReset'))
+                return service.resetPassword({ type, scopes });
+
+            return Promise.reject(service.setError(authError));
+        },
+
+        /**
+         * Executes a B2C user-flow policy
+         * interactively, i.e. password reset
+         * or profile edition.
+         *
+         * @param {string} policy B2C policy key, from b2c.policies config.
+         * @param {object} [config] options.
+         * @param {string} [config.type] login type (redirect or popup).
+         * @param {Array} [config.scopes] permission scopes.
+         *
+         * @returns {Promise<object>} authentication state, rejects with
+         *  AuthError on failure or if policy isn't configured.
+         */
+        runPolicy(policy, { type = types.LOGIN_TYPE.REDIRECT, scopes = service.getDefaultScopes() } = {})
         {
-            if (AuthenticationService.isAuthenticated())
-                return resolve(AuthenticationService.state);
+            if (service.disabled)
+                return Promise.reject(new AuthDisabledError());
+
+            const authority = service.getPolicyAuthority(policy);
 
-            AuthenticationService.setState({ authenticating: true });
+            if (!authority)
+                return Promise.reject(new AuthError(`B2C policy '${policy}' isn't configured.`, { code: 'policy_not_configured' }));
 
-            AuthenticationService.context.acquireTokenSilent({ scopes })
-                .then(() => resolve(AuthenticationService.setState({ authenticating: false, authenticated: true })))
-                .catch(() =>
+            service.setState({ authenticating: true });
+
+            return service.redirectPromise
+                .then(() => service.context[type]({ scopes, authority, redirectStartPage: window.location.href }))
+                // redirect method response is handled on init after redirect back.
+                .then((response) => (response ? service.loginSucceeded(response) : service.state))
+                .catch((error) =>
                 {
-                    // authentication process callback.
-                    AuthenticationService.context.handleRedirectCallback((error, response) =>
+                    throw service.setError(error);
+                });
+        },
+
+        /**
+         * Starts B2C password reset flow.
+         *
+         * @param {object} [config] options.
+         * @param {string} [config.type] login type (redirect or popup).
+         * @param {Array} [config.scopes] permission scopes.
+         *
+         * @returns {Promise<object>} authentication state, rejects with AuthError on failure.
+         */
+        resetPassword(config)
+        {
+            return service.runPolicy('passwordReset', config);
+        },
+
+        /**
+         * Starts B2C profile edition flow.
+         *
+         * @param {object} [config] options.
+         * @param {string} [config.type] login type (redirect or popup).
+         * @param {Array} [config.scopes] permission scopes.
+         *
+         * @returns {Promise<object>} authentication state, rejects with AuthError on failure.
+         */
+        editProfile(config)
+        {
+            return service.runPolicy('editProfile', config);
+        },
+
+        /**
+         * Signs in another account, prompting
+         * for account selection, and sets it
+         * as active account on finishing.
+         *
+         * @param {object} [config] options.
+         * @param {string} [config.type] login type (redirect or popup).
+         * @param {Array} [config.scopes] permission scopes.
+         * @param {string} [config.loginHint] preset account email.
+         *
+         * @returns {Promise<object>} authentication state, rejects with AuthError on failure.
+         */
+        addAccount({
+            type = types.LOGIN_TYPE.POPUP,
+            scopes = service.getDefaultScopes(),
+            loginHint
+        } = {})
+        {
+            if (service.disabled)
+                return Promise.resolve(service.state);
+
+            return service.redirectPromise.then(() =>
+            {
+                service.setState({ authenticating: true });
+
+                return service.context[type]({
+                    scopes,
+                    loginHint,
+                    prompt: 'select_account',
+                    redirectStartPage: window.location.href
+                })
+                    // in redirect case, response is handled on init after redirect back.
+                    .then((response) =>
                     {
                         if (response)
-                            resolve(AuthenticationService.setState({ authenticating: false, authenticated: true }));
-                        else
-                            reject(AuthenticationService.setState({ authenticating: false, error }));
-                    });
+                            return service.loginSucceeded(response);
 
-                    // redirect method login.
-                    return AuthenticationService.context[type]({
-                        scopes,
-                        loginHint,
-                        forceRefresh: forceTokenRefresh
+                        return service.state;
                     })
-                        // in popup case. Avoid to use on automatic login.
-                        ?.then(() => resolve(AuthenticationService.setState({ authenticating: false, authenticated: true })))
-                        ?.catch((error) => reject(AuthenticationService.setState({ authenticating: false, error })));
+                    .catch((error) =>
+                    {
+                        throw service.setError(error);
+                    });
+            });
+        },
+
+        /**
+         * Loads config at runtime (i.e. from
+         * a config.json by environment) and
+         * initializes MSAL authentication context.
+         * Session state is authenticating while
+         * config is loading, and login and token
+         * acquisition waits for it.
+         *
+         * @param {string|Function} source config URL, or loader function
+         *  returning config or a promise.
+         * @param {boolean} [disabled] whether authentication is disabled globally.
+         *
+         * @returns {Promise<any>} redirect response handling, rejects with
+         *  ConfigurationError or AuthError if config couldn't be loaded.
+         */
+        initFromUrl(source, disabled)
+        {
+            service.stopBackgroundTasks();
+            service.sync = null;
+            service.context = null;
+            service.baseConfig = null;
+            service.disabled = false;
+
+            service.setState({ authenticated: false, authenticating: true, accountId: null });
+
+            const loader = typeof source === 'function'
+                ? source
+                : () => axios.get(source, { headers: { 'Cache-Control': 'no-cache' } }).then(({ data }) => data);
+
+            const loading = Promise.resolve()
+                .then(loader)
+                .then((config) =>
+                {
+                    service.init(config, disabled);
+
+                    return service.redirectPromise;
+                })
+                .catch((error) =>
+                {
+                    throw service.setError(error);
                 });
-        }));
-    },
-
-    /**
-     * Whether authentication is disabled.
-     *
-     * @returns {boolean} true if disabled, false in otherwise.
-     */
-    isDisabled()
-    {
-        return AuthenticationService.disabled;
-    },
-
-    /**
-     * Whether account is authenticated.
-     *
-     * @returns {boolean} true if authenticated, false in otherwise.
-     */
-    isAuthenticated()
-    {
-        return AuthenticationService.disabled || !!AuthenticationService.context.getAccount();
-    },
-
-    /**
-     * Whether authentication is in progress.
-     *
-     * @returns {boolean} true if login is in progress, false in otherwise.
-     */
-    isAuthenticating()
-    {
-        const { authenticating } = AuthenticationService.state ?? {};
 
-        return !AuthenticationService.disabled && (authenticating || AuthenticationService.context.getLoginInProgress());
-    },
+            // every interaction waits for config loading.
+            service.redirectPromise = loading;
+            loading.catch(() => null);
 
-    /**
-     * Logouts and redirects to postLogoutRedirectUri.
-     */
-    logout()
-    {
-        AuthenticationService.disabled || AuthenticationService.context.logout();
-    },
+            return loading;
+        },
 
-    /**
-     * Clear all access tokens in the cache.
-     */
-    clearCache()
-    {
-        AuthenticationService.disabled || AuthenticationService.context.clearCache();
-    },
-
-    /**
-     * Returns current authority data.
-     *
-     * @returns {any} authority data.
-     */
-    getAuthority()
-    {
-        if (AuthenticationService.disabled)
-            return null;
+        /**
+         * Whether authentication is disabled.
+         *
+         * @returns {boolean} true if disabled, false in otherwise.
+         */
+        isDisabled()
+        {
+            return service.disabled;
+        },
 
-        return AuthenticationService.context.getAuthorityInstance();
-    },
+        /**
+         * Sets development persona for disabled
+         * authentication, so account getters and
+         * Graph profile and avatar returns its data.
+         * Allows switching personas at runtime.
+         *
+         * @param {object|string} [persona] persona data (see createPersona), or null for none.
+         * @param {string} [persona.id] account object identifier, hooks data is reloaded on change.
+         * @param {string} [persona.username] account userName.
+         * @param {string} [persona.name] account display name.
+         * @param {Array<string>} [persona.roles] account roles claim.
+         * @param {Array<string>} [persona.groups] account groups claim.
+         * @param {object} [persona.claims] account ID token claims.
+         * @param {object} [persona.profile] Graph profile attributes.
+         * @param {string|null} [persona.avatar] avatar URL, initials avatar by default.
+         *
+         * @returns {object} session state.
+         */
+        setPersona(persona)
+        {
+            if (!service.disabled)
+                return service.state;
 
-    /**
-     * Returns current account data.
-     *
-     * @returns {any} account data.
-     */
-    getAccount()
-    {
-        if (AuthenticationService.disabled)
-            return null;
+            service.persona = persona ? createPersona(persona) : null;
 
-        return AuthenticationService.context.getAccount();
-    },
+            return service.setState({ accountId: service.getId() ?? null, persona: service.persona });
+        },
 
-    /**
-     * Returns current account identifier.
-     *
-     * @returns {string} account identifier.
-     */
-    getId()
-    {
-        if (AuthenticationService.disabled)
-            return null;
+        /**
+         * Returns development persona.
+         *
+         * @returns {object} persona account, profile and avatar, or null if none.
+         */
+        getPersona()
+        {
+            return service.disabled ? service.persona : null;
+        },
 
-        return AuthenticationService.context.getAccount()?.accountIdentifier;
-    },
+        /**
+         * Whether account is authenticated.
+         *
+         * @returns {boolean} true if authenticated, false in otherwise.
+         */
+        isAuthenticated()
+        {
+            return service.disabled || !!service.getAccount();
+        },
 
-    /**
-     * Returns current account userName.
-     *
-     * @returns {string} account userName.
-     */
-    getUserName()
-    {
-        if (AuthenticationService.disabled)
-            return null;
+        /**
+         * Whether authentication is in progress.
+         *
+         * @returns {boolean} true if login is in progress, false in otherwise.
+         */
+        isAuthenticating()
+        {
+            const { authenticating } = service.state ?? {};
 
-        return AuthenticationService.context.getAccount()?.userName;
-    },
+            return !service.disabled && !!authenticating;
+        },
 
-    /**
-     * Returns current account claims.
-     *
-     * @returns {any} account claims.
-     */
-    getClaims()
-    {
-        if (AuthenticationService.disabled)
-            return null;
+        /**
+         * Registers an app cleanup callback,
+         * executed before logout. Callbacks
+         * may be async, and its failures
+         * don't prevent logout.
+         *
+         * @param {Function} callback cleanup callback, receiving signed out account.
+         *
+         * @returns {Function} unregister function.
+         */
+        onBeforeLogout(callback)
+        {
+            service.logoutHooks.add(callback);
 
-        return AuthenticationService.context.getAccount()?.idTokenClaims;
-    },
+            return () => service.logoutHooks.delete(callback);
+        },
+
+        /**
+         * Removes every library cache entry
+         * (i.e. accounts info and photos), from
+         * configured and in-memory storages,
+         * and entries from previous versions.
+         *
+         * @returns {Promise<void>} cache clearing process.
+         */
+        clearLibraryCache()
+        {
+            if (service.disabled)
+                return Promise.resolve();
+
+            return Promise.all([
+                clear({ storage: service.baseConfig.cache.storage }),
+                // in-memory cache, i.e. from useUserSearch.
+                clear({ storage: types.CACHE.MEMORY }),
+                clearLegacy()
+            ]).then(() => undefined);
+        },
+
+        /**
+         * Logouts active account, executing
+         * onBeforeLogout callbacks and removing
+         * library cache entries first.
+         * Redirect logout navigates to
+         * postLogoutRedirectUri.
+         *
+         * @param {object} [config] options.
+         * @param {string} [config.type] logout interaction type
+         *  (types.INTERACTION_TYPE redirect or popup).
+         * @param {boolean} [config.localOnly] whether account is only removed from
+         *  this app cache, without ending Active Directory session.
+         *
+         * @returns {Promise<void>} logout process.
+         */
+        async logout({ type = types.INTERACTION_TYPE.REDIRECT, localOnly = false } = {})
+        {
+            if (service.disabled)
+                return;
+
+            const account = service.getAccount();
+
+            await Promise.allSettled([ ...service.logoutHooks ].map(async (callback) => callback(account)));
+            await service.clearLibraryCache().catch(() => null);
+
+            service.events.emit(types.EVENT.LOGOUT_START, { account, localOnly });
+
+            const succeeded = () => service.events.emit(types.EVENT.LOGOUT_SUCCESS, { account, localOnly });
+
+            if (localOnly)
+            {
+                await service.context.logoutRedirect({ account, onRedirectNavigate: () => false });
+            }
+            else if (type === types.INTERACTION_TYPE.POPUP)
+            {
+                await service.context.logoutPopup({ account });
+            }
+            else
+            {
+                // account is already removed from cache when navigating.
+                return service.context.logoutRedirect({
+                    account,
+                    onRedirectNavigate: () =>
+                    {
+                        succeeded();
+
+                        return true;
+                    }
+                });
+            }
+
+            succeeded();
+            service.setState({ authenticated: service.isAuthenticated(), accountId: service.getId() ?? null });
+        },
+
+        /**
+         * Clear all accounts and tokens
+         * in the cache, without sign out
+         * from Active Directory.
+         *
+         * @returns {Promise<void>} cache clearing process.
+         */
+        clearCache()
+        {
+            if (service.disabled)
+                return Promise.resolve();
+
+            return service.context.logoutRedirect({ onRedirectNavigate: () => false })
+                .then(() =>
+                {
+                    service.events.emit(types.EVENT.CACHE_CLEARED);
+                    service.setState({ authenticated: service.isAuthenticated(), accountId: service.getId() ?? null });
+                });
+        },
+
+        /**
+         * Returns current authority data.
+         *
+         * @returns {any} authority data.
+         */
+        getAuthority()
+        {
+            if (service.disabled)
+                return null;
+
+            return service.context?.getConfiguration().auth.authority ?? null;
+        },
+
+        /**
+         * Returns B2C user-flow policy authority.
+         *
+         * @param {string} policy policy key, from b2c.policies config.
+         *
+         * @returns {string} authority URL, or null if isn't B2C or policy isn't configured.
+         */
+        getPolicyAuthority(policy)
+        {
+            const b2c = service.baseConfig?.framework.b2c;
+
+            if (service.disabled || !b2c || !policy)
+                return null;
+
+            return b2c.authorities[policy] ?? null;
+        },
+
+        /**
+         * Whether account tenant is in
+         * allowedTenants config, or every
+         * tenant is allowed.
+         *
+         * @param {any} account account data.
+         *
+         * @returns {boolean} true if account tenant is allowed.
+         */
+        isTenantAllowed(account)
+        {
+            const allowed = service.baseConfig?.framework.allowedTenants ?? [];
+
+            if (!account)
+                return false;
+
+            return allowed.length === 0 || allowed.includes(account.tenantId ?? account.idTokenClaims?.tid);
+        },
+
+        /**
+         * Whether account was signed in by a B2C
+         * user-flow policy other than signUpSignIn
+         * (i.e. editProfile), using tfp or acr claim.
+         *
+         * @param {any} account account data.
+         *
+         * @returns {boolean} true if is a B2C policy account.
+         */
+        isPolicyAccount(account)
+        {
+            const policy = service.baseConfig?.framework.b2c?.policies.signUpSignIn;
+            const { tfp, acr } = account?.idTokenClaims ?? {};
+            const claim = tfp ?? acr;
+
+            if (!policy || !claim)
+                return false;
+
+            return claim.toLowerCase() !== policy.toLowerCase();
+        },
+
+        /**
+         * Whether account belongs to current session,
+         * from an allowed tenant and not signed in by
+         * a B2C policy other than signUpSignIn.
+         *
+         * @param {any} account account data.
+         *
+         * @returns {boolean} true if is a session account.
+         */
+        isSessionAccount(account)
+        {
+            return service.isTenantAllowed(account) && !service.isPolicyAccount(account);
+        },
+
+        /**
+         * Returns default permission scopes,
+         * types.DEFAULT_SCOPES (Graph user.read),
+         * or application scope in B2C, as B2C
+         * user-flows doesn't accept Graph scopes.
+         *
+         * @returns {Array<string>} permission scopes.
+         */
+        getDefaultScopes()
+        {
+            const { auth, framework } = service.baseConfig ?? {};
+
+            if (!framework?.b2c)
+                return types.DEFAULT_SCOPES;
+
+            return [ 'openid', auth.clientId ];
+        },
+
+        /**
+         * Returns current account data.
+         *
+         * @returns {any} account data.
+         */
+        getAccount()
+        {
+            if (service.disabled)
+                return service.persona?.account ?? null;
+
+            // context is missing while config is loading.
+            const active = service.context?.getActiveAccount();
+
+            return (service.isSessionAccount(active) ? active : null) ?? service.getAllAccounts()[0] ?? null;
+        },
+
+        /**
+         * Returns every signed in account,
+         * from allowed tenants and, in B2C,
+         * from signUpSignIn policy.
+         *
+         * @returns {Array<any>} accounts data.
+         */
+        getAllAccounts()
+        {
+            if (service.disabled)
+                return service.persona ? [ service.persona.account ] : [];
+
+            return service.context?.getAllAccounts().filter((account) => service.isSessionAccount(account)) ?? [];
+        },
+
+        /**
+         * Sets the active account, used for
+         * token acquisition and Graph queries.
+         *
+         * @param {any} account signed in account data.
+         *
+         * @returns {object} session state.
+         */
+        setActiveAccount(account)
+        {
+            if (service.disabled)
+                return service.state;
+
+            service.context.setActiveAccount(account);
+
+            return service.setState({ authenticated: service.isAuthenticated(), accountId: service.getId() ?? null });
+        },
+
+        /**
+         * Returns current account identifier.
+         *
+         * @returns {string} account identifier.
+         */
+        getId()
+        {
+            return service.getAccount()?.homeAccountId;
+        },
+
+        /**
+         * Returns current account userName.
+         *
+         * @returns {string} account userName.
+         */
+        getUserName()
+        {
+            return service.getAccount()?.username;
+        },
+
+        /**
+         * Returns current account claims.
+         *
+         * @returns {any} account claims.
+         */
+        getClaims()
+        {
+            return service.getAccount()?.idTokenClaims;
+        },
+
+        /**
+         * Returns permission scopes for a resource URL
+         * from protectedResourceMap config, using the
+         * longest matching resource, with the same
+         * origin and path prefix on segment boundary.
+         *
+         * @param {string} url resource URL.
+         *
+         * @returns {Array<string>} scopes, or null if
+         *  resource is unprotected or isn't mapped.
+         */
+        getResourceScopes(url)
+        {
+            if (service.disabled || !url || !service.baseConfig)
+                return null;
+
+            const { unprotectedResources, protectedResourceMap } = service.baseConfig.framework;
+            let target;
+
+            try
+            {
+                target = new URL(url, window.location.origin);
+            }
+            catch
+            {
+                return null;
+            }
+
+            if (unprotectedResources.some((resource) => matchesResource(target, resource)))
+                return null;
+
+            let match = null;
+
+            for (const [ resource, scopes ] of protectedResourceMap)
+            {
+                if (matchesResource(target, resource) && (!match || resource.length > match.resource.length))
+                    match = { resource, scopes };
+            }
+
+            return match?.scopes ?? null;
+        },
+
+        /**
+         * Returns current account roles.
+         *
+         * @returns {any} account roles.
+         */
+        getRoles()
+        {
+            const { idTokenClaims: claims } = service.getAccount() ?? {};
+
+            if (claims && Object.prototype.hasOwnProperty.call(claims, 'roles'))
+                return claims.roles;
 
-    /**
-     * Returns current account roles.
-     *
-     * @returns {any} account roles.
-     */
-    getRoles()
-    {
-        if (AuthenticationService.disabled)
             return null;
+        },
 
-        const { idTokenClaims: claims } = AuthenticationService.getAccount() ?? {};
+        /**
+         * Whether current account has too many
+         * groups for the ID token, so groups claim
+         * is replaced by a Graph claim source.
+         *
+         * @see https://docs.microsoft.com/en-us/azure/active-directory/develop/id-tokens#groups-overage-claim
+         *
+         * @returns {boolean} true if groups claim is overaged.
+         */
+        hasGroupsOverage()
+        {
+            const claims = service.getClaims();
 
-        if (Object.prototype.hasOwnProperty.call(claims, 'roles'))
-            return claims.roles;
+            return !!(claims?._claim_names?.groups || claims?.hasgroups);
+        },
 
-        return null;
-    }
-};
+        /**
+         * Returns current account groups
+         * identifiers from groups claim.
+         *
+         * @returns {Array<string>} groups identifiers, or null if groups
+         *  claim is missing or overaged (use GraphService.getGroups).
+         */
+        getGroups()
+        {
+            if (service.hasGroupsOverage())
+                return null;
+
+            const groups = service.getClaims()?.groups;
+
+            return Array.isArray(groups) ? groups : null;
+        }
+    };
+
+    return service;
+}
+
+// default authentication service instance.
+const AuthenticationService = createAuthenticationService();
 
 export default AuthenticationService;
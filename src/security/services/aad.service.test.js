@@ -0,0 +1,150 @@
+import { createMockAccount, createMockAuth } from '../../testing';
+import { ConfigurationError, TenantNotAllowedError } from '../auth.errors';
+import { read, write } from '../cache.util';
+import { types } from '../config';
+import { createAuthenticationService } from './aad.service';
+
+const CLIENT_ID = '00000000-0000-0000-0000-000000000003';
+
+const b2c = {
+    tenantName: 'contoso',
+    policies: {
+        signUpSignIn: 'B2C_1_signupsignin',
+        editProfile: 'B2C_1_profileediting'
+    }
+};
+
+/**
+ * Creates a B2C account
+ * signed in by a policy.
+ *
+ * @param {string} policy policy name.
+ *
+ * @returns {object} account.
+ */
+function policyAccount(policy)
+{
+    const account = createMockAccount({ claims: { tfp: policy } });
+
+    return { ...account, homeAccountId: `${account.localAccountId}-${policy.toLowerCase()}.${account.tenantId}` };
+}
+
+describe('B2C', () =>
+{
+    test('requests application scope by default', async () =>
+    {
+        const mock = createMockAuth({ account: null, config: { b2c } });
+        const loginRedirect = jest.spyOn(mock.context, 'loginRedirect');
+
+        expect(mock.service.getDefaultScopes()).toEqual([ 'openid', CLIENT_ID ]);
+
+        await mock.service.login();
+
+        expect(loginRedirect).toHaveBeenCalledWith(expect.objectContaining({ scopes: [ 'openid', CLIENT_ID ] }));
+    });
+
+    test('keeps sign-up/sign-in account active after profile edition', async () =>
+    {
+        const mock = createMockAuth({ account: null, config: { b2c } });
+        const signIn = mock.context.addAccount(policyAccount('B2C_1_signupsignin'));
+
+        mock.service.loginSucceeded(mock.context.toResult(signIn));
+        mock.context.loginAccount = policyAccount('B2C_1_profileediting');
+
+        await mock.service.editProfile({ type: types.LOGIN_TYPE.POPUP });
+
+        expect(mock.context.accounts).toHaveLength(2);
+        expect(mock.service.getAllAccounts()).toEqual([ signIn ]);
+        expect(mock.service.getAccount()).toBe(signIn);
+        expect(mock.service.state.authenticated).toBe(true);
+    });
+});
+
+test('requests Graph scope by default out of B2C', () =>
+{
+    const mock = createMockAuth();
+
+    expect(mock.service.getDefaultScopes()).toEqual(types.DEFAULT_SCOPES);
+});
+
+test('silent login from not allowed tenant doesn\'t fallback to interactive login', async () =>
+{
+    const mock = createMockAuth({ account: null, config: { allowedTenants: [ '00000000-0000-0000-0000-000000000001' ] } });
+    const loginRedirect = jest.spyOn(mock.context, 'loginRedirect');
+    const account = createMockAccount({ tenantId: '00000000-0000-0000-0000-000000000009' });
+
+    mock.context.ssoSilent = async () => mock.context.toResult(mock.context.addAccount(account));
+
+    await expect(mock.service.login()).rejects.toBeInstanceOf(TenantNotAllowedError);
+    expect(loginRedirect).not.toHaveBeenCalled();
+    expect(mock.service.state.error).toBeInstanceOf(TenantNotAllowedError);
+});
+
+test('sso from not allowed tenant doesn\'t fallback to interactive login', async () =>
+{
+    const mock = createMockAuth({ account: null, config: { allowedTenants: [ '00000000-0000-0000-0000-000000000001' ] } });
+    const login = jest.spyOn(mock.service, 'login');
+    const account = createMockAccount({ tenantId: '00000000-0000-0000-0000-000000000009' });
+
+    mock.context.ssoSilent = async () => mock.context.toResult(mock.context.addAccount(account));
+
+    await expect(mock.service.sso()).rejects.toBeInstanceOf(TenantNotAllowedError);
+    expect(login).not.toHaveBeenCalled();
+    expect(mock.service.state.error).toBeInstanceOf(TenantNotAllowedError);
+});
+
+test('clearLibraryCache clears configured and in-memory storages', async () =>
+{
+    const mock = createMockAuth();
+    const { storage } = mock.service.baseConfig.cache;
+
+    await write('info', 'profile', { storage });
+    await write('search', 'users', { storage: types.CACHE.MEMORY });
+    window.localStorage.setItem('msal.oid.tid.info', '{}');
+
+    await mock.service.clearLibraryCache();
+
+    expect(await read('info', { storage })).toBe(null);
+    expect(await read('search', { storage: types.CACHE.MEMORY })).toBe(null);
+    expect(window.localStorage.getItem('msal.oid.tid.info')).toBe(null);
+});
+
+test('login and sso resolves session state when disabled', async () =>
+{
+    const service = createAuthenticationService();
+
+    service.init({}, true);
+
+    await expect(service.login()).resolves.toBe(service.state);
+    await expect(service.sso()).resolves.toBe(service.state);
+});
+
+describe('initFromUrl', () =>
+{
+    test('reports authenticating while config is loading', () =>
+    {
+        const service = createAuthenticationService();
+
+        service.initFromUrl(() => new Promise(() => null));
+
+        expect(service.state).toEqual(expect.objectContaining({ authenticated: false, authenticating: true }));
+    });
+
+    test('sets loader failure as session error', async () =>
+    {
+        const service = createAuthenticationService();
+
+        await expect(service.initFromUrl(() => Promise.reject(new Error('Config not found.')))).rejects.toThrow('Config not found.');
+        await expect(service.redirectPromise).rejects.toThrow('Config not found.');
+        expect(service.state).toEqual(expect.objectContaining({ authenticating: false, error: expect.any(Error) }));
+    });
+
+    test('rejects invalid config with ConfigurationError', async () =>
+    {
+        const service = createAuthenticationService();
+
+        await expect(service.initFromUrl(async () => ({ clientId: 'my-app' }))).rejects.toBeInstanceOf(ConfigurationError);
+        expect(service.state.error).toBeInstanceOf(ConfigurationError);
+        expect(service.context).toBe(null);
+    });
+});
@@ -1,2 +1,3 @@
-export { default as AuthenticationService } from './aad.service';
-export { default as GraphService } from './aad-graph.service';
+export { default as AuthenticationService, createAuthenticationService } from './aad.service';
+export { default as GraphService, createGraphService } from './aad-graph.service';
+export { createSecureClient } from './aad-http.service';
@@ -0,0 +1,189 @@
+/**
+ * Cross-tab session synchronization,
+ * using BroadcastChannel or storage
+ * events as fallback.
+ *
+ * @summary Session sync handler.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 15:07:25
+ * Last modified  : 2026-10-19 22:05:12
+ */
+
+import { types } from './config';
+
+// session changes broadcasted to other tabs.
+const MESSAGE = {
+    LOGIN: 'login',
+    LOGOUT: 'logout',
+    ACCOUNT: 'account',
+    CACHE_CLEARED: 'cacheCleared'
+};
+
+export default class SessionSync
+{
+    /**
+     * Initializes channel name.
+     *
+     * @param {object} service authentication service.
+     */
+    constructor(service)
+    {
+        this.service = service;
+        this.name = `msal.${service.baseConfig.auth.clientId}.session`;
+        this.channel = null;
+        this.subscriptions = [];
+        this.syncing = false;
+
+        this.onStorage = this.onStorage.bind(this);
+    }
+
+    /**
+     * Starts listening session changes
+     * from this and others tabs.
+     */
+    start()
+    {
+        if (this.subscriptions.length > 0)
+            return;
+
+        const { events } = this.service;
+        const account = () => ({ homeAccountId: this.service.getId() });
+
+        this.subscriptions = [
+            events.on(types.EVENT.LOGIN_SUCCESS, () => this.broadcast(MESSAGE.LOGIN, account())),
+            events.on(types.EVENT.ACCOUNT_CHANGED, () => this.broadcast(MESSAGE.ACCOUNT, account())),
+            events.on(types.EVENT.LOGOUT_SUCCESS, () => this.broadcast(MESSAGE.LOGOUT)),
+            events.on(types.EVENT.CACHE_CLEARED, () => this.broadcast(MESSAGE.CACHE_CLEARED))
+        ];
+
+        if (typeof BroadcastChannel === 'function')
+        {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.onmessage = ({ data }) => this.receive(data);
+        }
+        else
+        {
+            window.addEventListener('storage', this.onStorage);
+        }
+    }
+
+    /**
+     * Stops listening session changes.
+     */
+    stop()
+    {
+        const { events } = this.service;
+
+        this.subscriptions.forEach((id) => events.off(id));
+        this.subscriptions = [];
+
+        this.channel?.close();
+        this.channel = null;
+
+        window.removeEventListener('storage', this.onStorage);
+    }
+
+    /**
+     * Sends a session change to other tabs.
+     *
+     * @param {string} type session change type.
+     * @param {object} [payload] session change data.
+     */
+    broadcast(type, payload = {})
+    {
+        // avoids echoing changes from others tabs.
+        if (this.syncing)
+            return;
+
+        const message = { type, ...payload };
+
+        if (this.channel)
+        {
+            this.channel.postMessage(message);
+
+            return;
+        }
+
+        try
+        {
+            // unique value ensures storage event triggering.
+            window.localStorage.setItem(this.name, JSON.stringify({ ...message, nonce: `${Date.now()}.${Math.random()}` }));
+            window.localStorage.removeItem(this.name);
+        }
+        catch
+        {
+            // storage unavailable, session isn't synchronized.
+        }
+    }
+
+    /**
+     * Handles storage event fallback.
+     *
+     * @param {StorageEvent} event storage event.
+     */
+    onStorage({ key, newValue })
+    {
+        if (key === this.name && newValue)
+            this.receive(JSON.parse(newValue));
+    }
+
+    /**
+     * Applies a session change
+     * from another tab.
+     *
+     * @param {object} message session change.
+     * @param {string} message.type session change type.
+     * @param {string} [message.homeAccountId] active account identifier.
+     *
+     * @returns {Promise<void>} synchronization process.
+     */
+    async receive({ type, homeAccountId })
+    {
+        const { service } = this;
+
+        this.syncing = true;
+
+        try
+        {
+            switch (type)
+            {
+                case MESSAGE.LOGIN:
+                case MESSAGE.ACCOUNT:
+                {
+                    const account = homeAccountId && service.context.getAccountByHomeId(homeAccountId);
+
+                    if (account)
+                        service.context.setActiveAccount(account);
+
+                    break;
+                }
+
+                case MESSAGE.LOGOUT:
+                    // account is already removed from shared MSAL cache,
+                    // others accounts are kept, but in-memory library
+                    // cache isn't shared between tabs.
+                    await service.clearLibraryCache().catch(() => null);
+                    break;
+
+                case MESSAGE.CACHE_CLEARED:
+                    // session storage cache isn't shared between tabs,
+                    // also, ignores failures if interaction is in progress.
+                    await service.clearCache().catch(() => null);
+                    break;
+
+                default:
+                    return;
+            }
+
+            service.setState({
+                authenticated: service.isAuthenticated(),
+                accountId: service.getId() ?? null
+            });
+        }
+        finally
+        {
+            this.syncing = false;
+        }
+    }
+}
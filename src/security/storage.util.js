@@ -0,0 +1,170 @@
+/**
+ * Storage adapters for library cache.
+ *
+ * Every adapter exposes the same async
+ * interface: get(key), set(key, value),
+ * remove(key) and keys().
+ *
+ * @summary Storage adapters.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 15:52:18
+ * Last modified  : 2026-10-19 15:52:18
+ */
+
+import { types } from './config';
+
+/**
+ * Creates an in-memory storage adapter.
+ * Data is lost on page reload.
+ *
+ * @export
+ *
+ * @returns {object} storage adapter.
+ */
+export function createMemoryStorage()
+{
+    const store = new Map();
+
+    return {
+        get: async (key) => store.get(key) ?? null,
+        set: async (key, value) => void store.set(key, value),
+        remove: async (key) => void store.delete(key),
+        keys: async () => [ ...store.keys() ]
+    };
+}
+
+/**
+ * Creates a Web Storage adapter,
+ * storing values as JSON.
+ *
+ * @export
+ *
+ * @param {string} [storageType] localStorage or sessionStorage.
+ *
+ * @returns {object} storage adapter.
+ */
+export function createWebStorage(storageType = types.CACHE.LOCAL_STORAGE)
+{
+    const storage = () => window[storageType];
+
+    return {
+        get: async (key) =>
+        {
+            const data = storage().getItem(key);
+
+            if (!data || data === 'null' || data === 'undefined')
+                return null;
+
+            return JSON.parse(data);
+        },
+        set: async (key, value) => storage().setItem(key, JSON.stringify(value)),
+        remove: async (key) => storage().removeItem(key),
+        keys: async () => Object.keys(storage())
+    };
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request IndexedDB request.
+ *
+ * @returns {Promise<any>} request result.
+ */
+function promisify(request)
+{
+    return new Promise((resolve, reject) =>
+    {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Creates an IndexedDB storage adapter,
+ * suitable for large values like avatars.
+ *
+ * @export
+ *
+ * @param {string} [dbName] database name.
+ * @param {string} [storeName] object store name.
+ *
+ * @returns {object} storage adapter.
+ */
+export function createIndexedDBStorage(dbName = 'msal-security', storeName = 'cache')
+{
+    let database = null;
+
+    const open = () =>
+    {
+        if (!database)
+        {
+            const request = window.indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+
+            database = promisify(request);
+        }
+
+        return database;
+    };
+
+    const execute = async (mode, operation) =>
+    {
+        const db = await open();
+
+        return promisify(operation(db.transaction(storeName, mode).objectStore(storeName)));
+    };
+
+    return {
+        get: async (key) => (await execute('readonly', (store) => store.get(key))) ?? null,
+        set: (key, value) => execute('readwrite', (store) => store.put(value, key)),
+        remove: (key) => execute('readwrite', (store) => store.delete(key)),
+        keys: async () => (await execute('readonly', (store) => store.getAllKeys())).map(String)
+    };
+}
+
+// built-in adapters instances, by type.
+const adapters = {};
+
+/**
+ * Resolves a storage adapter from
+ * its type or returns the custom
+ * adapter received.
+ *
+ * @export
+ *
+ * @param {string|object} [storage] storage type from types.CACHE or custom adapter.
+ *
+ * @throws {Error} on unknown storage type.
+ *
+ * @returns {object} storage adapter.
+ */
+export function resolveStorage(storage = types.CACHE.LOCAL_STORAGE)
+{
+    if (typeof storage === 'object' && storage)
+        return storage;
+
+    if (!adapters[storage])
+    {
+        switch (storage)
+        {
+            case types.CACHE.MEMORY:
+                adapters[storage] = createMemoryStorage();
+                break;
+
+            case types.CACHE.LOCAL_STORAGE:
+            case types.CACHE.SESSION_STORAGE:
+                adapters[storage] = createWebStorage(storage);
+                break;
+
+            case types.CACHE.INDEXED_DB:
+                adapters[storage] = createIndexedDBStorage();
+                break;
+
+            default:
+                throw new Error(`[storage] '${storage}' isn't a valid storage type.`);
+        }
+    }
+
+    return adapters[storage];
+}
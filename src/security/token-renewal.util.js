@@ -0,0 +1,166 @@
+/**
+ * Proactive access tokens renewal,
+ * before its expiration.
+ *
+ * @summary Token renewal scheduler.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 14:31:12
+ * Last modified  : 2026-10-19 14:31:12
+ */
+
+import { types } from './config';
+
+export default class TokenRenewalScheduler
+{
+    /**
+     * Initializes tracked scopes sets.
+     *
+     * @param {object} service authentication service.
+     */
+    constructor(service)
+    {
+        this.service = service;
+        this.entries = new Map();
+        this.subscriptions = [];
+
+        this.catchUp = this.catchUp.bind(this);
+    }
+
+    /**
+     * Whether renewal should be paused,
+     * because tab is hidden or offline.
+     *
+     * @returns {boolean} true if paused.
+     */
+    isPaused()
+    {
+        return document.visibilityState === 'hidden' || navigator.onLine === false;
+    }
+
+    /**
+     * Starts tracking acquired tokens
+     * and listening tab visibility and
+     * network status changes.
+     */
+    start()
+    {
+        if (this.subscriptions.length > 0)
+            return;
+
+        const { events } = this.service;
+
+        this.subscriptions = [
+            events.on(types.EVENT.ACQUIRE_TOKEN_SUCCESS, ({ scopes, response }) => this.track(scopes, response?.expiresOn)),
+            events.on(types.EVENT.ACCOUNT_CHANGED, () => this.clear()),
+            events.on(types.EVENT.LOGOUT_START, () => this.clear())
+        ];
+
+        document.addEventListener('visibilitychange', this.catchUp);
+        window.addEventListener('online', this.catchUp);
+    }
+
+    /**
+     * Stops every scheduled renewal
+     * and removes listeners.
+     */
+    stop()
+    {
+        const { events } = this.service;
+
+        this.subscriptions.forEach((id) => events.off(id));
+        this.subscriptions = [];
+
+        document.removeEventListener('visibilitychange', this.catchUp);
+        window.removeEventListener('online', this.catchUp);
+
+        this.clear();
+    }
+
+    /**
+     * Removes every tracked scopes set.
+     */
+    clear()
+    {
+        for (const { timer } of this.entries.values())
+            clearTimeout(timer);
+
+        this.entries.clear();
+    }
+
+    /**
+     * Schedules the renewal of a scopes set
+     * before token expiration, using
+     * tokenRenewalOffset config.
+     *
+     * @param {Array<string>} scopes token scopes.
+     * @param {Date} expiresOn token expiration.
+     */
+    track(scopes, expiresOn)
+    {
+        if (!scopes || !expiresOn)
+            return;
+
+        const key = [ ...scopes ].sort().join(' ');
+        const offset = this.service.baseConfig.system.tokenRenewalOffsetSeconds * 1000;
+        const renewAt = new Date(expiresOn).getTime() - offset;
+
+        clearTimeout(this.entries.get(key)?.timer);
+
+        this.entries.set(key, {
+            scopes,
+            renewAt,
+            timer: setTimeout(() => this.renew(key), Math.max(renewAt - Date.now(), 0))
+        });
+    }
+
+    /**
+     * Renews silently a scopes set token,
+     * or waits for visible tab and network
+     * connection if paused.
+     *
+     * @param {string} key scopes set key.
+     *
+     * @returns {Promise<void>} renewal process.
+     */
+    async renew(key)
+    {
+        const entry = this.entries.get(key);
+
+        if (!entry || this.isPaused())
+            return;
+
+        // successful renewal is tracked again from event.
+        this.entries.delete(key);
+
+        try
+        {
+            await this.service.acquireTokenSilent({ scopes: entry.scopes, forceTokenRefresh: true });
+
+            if (this.service.state.renewalError)
+                this.service.setState({ renewalError: null });
+        }
+        catch (error)
+        {
+            this.service.setState({ renewalError: error });
+        }
+    }
+
+    /**
+     * Renews every expired scopes set
+     * when tab becomes visible or online.
+     */
+    catchUp()
+    {
+        if (this.isPaused())
+            return;
+
+        const now = Date.now();
+
+        for (const [ key, { renewAt } ] of this.entries)
+        {
+            if (renewAt <= now)
+                this.renew(key);
+        }
+    }
+}
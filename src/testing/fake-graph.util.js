@@ -0,0 +1,278 @@
+/**
+ * In-memory Microsoft Graph responder for
+ * tests, installed as axios default adapter,
+ * so Graph requests never reach the network.
+ *
+ * @summary Fake Graph backend.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 19:12:05
+ * Last modified  : 2026-10-19 21:15:44
+ */
+
+import axios from 'axios';
+import { types } from '../security/config';
+
+// smallest valid JPEG, used as default photo.
+const PHOTO = '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP////////////////////////////////////////////////////////////'
+    + '//////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=';
+
+/**
+ * Decodes a base64 string
+ * to an array buffer.
+ *
+ * @param {string} base64 base64 string.
+ *
+ * @returns {ArrayBuffer} binary data.
+ */
+function toArrayBuffer(base64)
+{
+    return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0)).buffer;
+}
+
+/**
+ * Creates an axios like error
+ * for a failed response.
+ *
+ * @param {object} config axios request config.
+ * @param {object} response fake response.
+ *
+ * @returns {Error} request error.
+ */
+function toError(config, response)
+{
+    const error = new Error(response.data?.error?.message ?? `Request failed with status code ${response.status}`);
+
+    error.config = config;
+    error.request = {};
+    error.response = response;
+    error.isAxiosError = true;
+
+    return error;
+}
+
+/**
+ * Builds a route matcher from path
+ * with :param segments, or RegExp.
+ *
+ * @param {string|RegExp} path route path, i.e. 'users/:id'.
+ *
+ * @returns {Function} matcher, returning path params or null.
+ */
+function toMatcher(path)
+{
+    if (path instanceof RegExp)
+        return (target) => path.exec(target)?.groups ?? (path.test(target) ? {} : null);
+
+    const segments = path.replace(/^\/+/, '').split('/');
+
+    return (target) =>
+    {
+        const parts = target.split('/');
+
+        if (parts.length !== segments.length)
+            return null;
+
+        const params = {};
+
+        for (const [ i, segment ] of segments.entries())
+        {
+            if (segment.startsWith(':'))
+                params[segment.slice(1)] = decodeURIComponent(parts[i]);
+            else if (segment !== parts[i])
+                return null;
+        }
+
+        return params;
+    };
+}
+
+/**
+ * Creates an in-memory Graph backend,
+ * responding me, photos, $batch and
+ * custom routes.
+ *
+ * @export
+ *
+ * @param {object} [options] fake Graph options.
+ * @param {object} [options.me] signed in user profile.
+ * @param {string|null} [options.photo] signed in user photo in base64, or null for no photo.
+ * @param {object} [options.photos] users photos in base64 by user identifier.
+ * @param {string} [options.cloud] Azure cloud (types.CLOUD), for Graph endpoint.
+ *
+ * @returns {object} fake Graph, with route, install, restore and requests.
+ */
+export function createFakeGraph({ me = {}, photo = PHOTO, photos = {}, cloud = types.CLOUD.PUBLIC } = {})
+{
+    // Graph API base URL.
+    const GRAPH_URL = `${types.CLOUD_ENDPOINTS[cloud].graph}v1.0/`;
+    const routes = [];
+    let previous = null;
+
+    const graph = {
+        // received requests, for assertions.
+        requests: [],
+
+        /**
+         * Adds a route, responding with data,
+         * or with status and data from responder.
+         * Latest routes take precedence.
+         *
+         * @param {string} method HTTP method, or * for any.
+         * @param {string|RegExp} path Graph path without version, i.e. 'users/:id'.
+         * @param {Function|any} responder response data, or function receiving
+         *  request (method, path, params, query, headers and data) returning
+         *  data or { status, data, headers }.
+         *
+         * @returns {object} fake Graph.
+         */
+        route(method, path, responder)
+        {
+            routes.unshift({ method: method.toUpperCase(), match: toMatcher(path), responder });
+
+            return graph;
+        },
+
+        /**
+         * Responds a request.
+         *
+         * @param {object} request fake request.
+         * @param {string} request.method HTTP method.
+         * @param {string} request.path Graph path without version.
+         *
+         * @returns {Promise<object>} status, data and headers.
+         */
+        async respond(request)
+        {
+            graph.requests.push(request);
+
+            for (const { method, match, responder } of routes)
+            {
+                const params = (method === '*' || method === request.method) && match(request.path);
+
+                if (!params)
+                    continue;
+
+                const result = typeof responder === 'function'
+                    ? await responder({ ...request, params })
+                    : responder;
+
+                if (result && typeof result === 'object' && 'status' in result)
+                    return { headers: {}, ...result };
+
+                return { status: 200, headers: {}, data: result };
+            }
+
+            return {
+                status: 404,
+                headers: {},
+                data: { error: { code: 'Request_ResourceNotFound', message: `Fake Graph route '${request.path}' not found.` } }
+            };
+        },
+
+        /**
+         * Axios adapter, responding Graph
+         * requests and delegating others.
+         *
+         * @param {object} config axios request config.
+         *
+         * @throws {Error} axios like error on failed response.
+         *
+         * @returns {Promise<object>} axios response.
+         */
+        async adapter(config)
+        {
+            if (!config.url.startsWith(GRAPH_URL))
+                return previous(config);
+
+            const url = new URL(config.url);
+
+            Object.entries(config.params ?? {}).forEach(([ key, value ]) => url.searchParams.set(key, value));
+
+            const response = await graph.respond({
+                method: (config.method ?? 'get').toUpperCase(),
+                path: decodeURIComponent(url.pathname.replace(new URL(GRAPH_URL).pathname, '')),
+                query: Object.fromEntries(url.searchParams),
+                headers: config.headers ?? {},
+                data: typeof config.data === 'string' ? JSON.parse(config.data) : config.data
+            });
+
+            const data = config.responseType === 'arraybuffer' && typeof response.data === 'string'
+                ? toArrayBuffer(response.data)
+                : response.data;
+
+            const result = { ...response, data, statusText: `${response.status}`, config, request: {} };
+
+            if (response.status >= 400)
+                throw toError(config, result);
+
+            return result;
+        },
+
+        /**
+         * Installs fake Graph as
+         * axios default adapter.
+         *
+         * @returns {object} fake Graph.
+         */
+        install()
+        {
+            previous = previous ?? axios.defaults.adapter;
+            axios.defaults.adapter = graph.adapter;
+
+            return graph;
+        },
+
+        /**
+         * Restores previous axios adapter.
+         */
+        restore()
+        {
+            if (previous)
+                axios.defaults.adapter = previous;
+
+            previous = null;
+        }
+    };
+
+    // JSON batching, responding every sub-request.
+    graph.route('POST', '$batch', async ({ data }) => ({
+        status: 200,
+        data: {
+            responses: await Promise.all(data.requests.map(async ({ id, method, url, headers, body }) =>
+            {
+                const target = new URL(url.replace(/^\/+/, ''), GRAPH_URL);
+                const { status, headers: responseHeaders, data: responseBody } = await graph.respond({
+                    method,
+                    path: decodeURIComponent(target.pathname.replace(new URL(GRAPH_URL).pathname, '')),
+                    query: Object.fromEntries(target.searchParams),
+                    headers: headers ?? {},
+                    data: body
+                });
+
+                return { id, status, headers: responseHeaders, body: responseBody };
+            }))
+        }
+    }));
+
+    // signed in user photo.
+    graph.route('GET', /^me\/photos?(\/[^/]+)?\/\$value$/, () => (photo ? photo : { status: 404, data: null }));
+
+    // users photos.
+    graph.route('GET', /^users\/(?<id>[^/]+)\/photos?(\/[^/]+)?\/\$value$/, ({ params }) => (photos[params.id]
+        ? photos[params.id]
+        : { status: 404, data: null }));
+
+    // signed in user profile.
+    graph.route('GET', 'me', () => ({
+        id: '00000000-0000-0000-0000-000000000002',
+        displayName: 'John Doe',
+        givenName: 'John',
+        surname: 'Doe',
+        mail: 'john.doe@contoso.com',
+        userPrincipalName: 'john.doe@contoso.com',
+        ...me
+    }));
+
+    return graph;
+}
@@ -0,0 +1,2 @@
+export { createMockAccount, createMockAuth } from './mock-auth.util';
+export { createFakeGraph } from './fake-graph.util';
@@ -0,0 +1,84 @@
+import '@testing-library/jest-dom';
+import { act, render, screen } from '@testing-library/react';
+import { AuthProvider } from '../security/auth.context';
+import { useAccountInfo, useAuthenticationState, useAuthorization } from '../security/auth.hook';
+import { createFakeGraph, createMockAuth } from '.';
+
+const graph = createFakeGraph({ me: { displayName: 'Jane Doe' } });
+
+beforeAll(() => graph.install());
+afterAll(() => graph.restore());
+
+/**
+ * Renders session state, Graph
+ * profile and admin authorization.
+ *
+ * @returns {JSX.Element} profile.
+ */
+function Profile()
+{
+    const { authenticated, error } = useAuthenticationState();
+    const { info } = useAccountInfo();
+    const { authorized } = useAuthorization({ roles: 'Admin' });
+
+    if (error)
+        return <p>{error.message}</p>;
+
+    if (!authenticated)
+        return <p>Signed out</p>;
+
+    return (
+        <div>
+            <p>{info?.displayName ?? 'Loading'}</p>
+            {authorized && <p>Admin panel</p>}
+        </div>
+    );
+}
+
+test('renders Graph profile for authorized account', async () =>
+{
+    const mock = createMockAuth({ roles: [ 'Admin' ] });
+
+    render(<AuthProvider service={ mock.service }><Profile /></AuthProvider>);
+
+    expect(await screen.findByText('Jane Doe')).toBeInTheDocument();
+    expect(screen.getByText('Admin panel')).toBeInTheDocument();
+    expect(graph.requests.some(({ method, path }) => method === 'GET' && path === 'me')).toBe(true);
+});
+
+test('hides admin panel without role', async () =>
+{
+    const mock = createMockAuth({ roles: [ 'Reader' ] });
+
+    render(<AuthProvider service={ mock.service }><Profile /></AuthProvider>);
+
+    expect(await screen.findByText('Jane Doe')).toBeInTheDocument();
+    expect(screen.queryByText('Admin panel')).not.toBeInTheDocument();
+});
+
+test('updates on simulated logout, login and error', async () =>
+{
+    const mock = createMockAuth({ account: null });
+
+    render(<AuthProvider service={ mock.service }><Profile /></AuthProvider>);
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument();
+
+    act(() =>
+    {
+        mock.simulateLogin();
+    });
+
+    expect(await screen.findByText('Jane Doe')).toBeInTheDocument();
+
+    await act(() => mock.simulateLogout());
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument();
+
+    act(() =>
+    {
+        mock.simulateError(new Error('Session expired.'));
+    });
+
+    expect(screen.getByText('Session expired.')).toBeInTheDocument();
+});
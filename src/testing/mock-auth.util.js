@@ -0,0 +1,448 @@
+/**
+ * Mock authentication service for tests,
+ * replacing MSAL context by an in-memory
+ * one, so hooks and components runs under
+ * jest/jsdom without network access.
+ *
+ * @summary Mock authentication service.
+ * @author Alvear Candia, Cristopher Alejandro <calvear93@gmail.com>
+ *
+ * Created at     : 2026-10-19 19:12:05
+ * Last modified  : 2026-10-19 20:47:08
+ */
+
+import { InteractionRequiredAuthError } from '@azure/msal-browser';
+import { createConfig, types } from '../security/config';
+import { createAuthenticationService } from '../security/services';
+import { createMemoryStorage } from '../security/storage.util';
+
+// default mock tenant identifier.
+const TENANT_ID = '00000000-0000-0000-0000-000000000001';
+
+// default mock access token.
+const ACCESS_TOKEN = 'mock-access-token';
+
+// token lifetime in milliseconds.
+const TOKEN_LIFETIME = 60 * 60 * 1000;
+
+/**
+ * Creates a mock account,
+ * like MSAL AccountInfo.
+ *
+ * @export
+ *
+ * @param {object} [account] account data overrides.
+ * @param {string} [account.id] account object identifier.
+ * @param {string} [account.username] account userName.
+ * @param {string} [account.name] account display name.
+ * @param {string} [account.tenantId] account tenant identifier.
+ * @param {Array<string>} [account.roles] account roles claim.
+ * @param {object} [account.claims] account ID token claims.
+ *
+ * @returns {object} mock account.
+ */
+export function createMockAccount({
+    id = '00000000-0000-0000-0000-000000000002',
+    username = 'john.doe@contoso.com',
+    name = 'John Doe',
+    tenantId = TENANT_ID,
+    roles,
+    claims
+} = {})
+{
+    return {
+        homeAccountId: `${id}.${tenantId}`,
+        localAccountId: id,
+        environment: 'login.microsoftonline.com',
+        tenantId,
+        username,
+        name,
+        idTokenClaims: {
+            oid: id,
+            tid: tenantId,
+            name,
+            preferred_username: username,
+            ...(roles ? { roles } : {}),
+            ...claims
+        }
+    };
+}
+
+/**
+ * In-memory MSAL context, like
+ * PublicClientApplication.
+ */
+class MockClientApplication
+{
+    /**
+     * Initializes accounts store.
+     *
+     * @param {object} service authentication service.
+     * @param {object} tokens access tokens by scope.
+     */
+    constructor(service, tokens)
+    {
+        this.service = service;
+        this.tokens = tokens;
+        this.accounts = [];
+        this.active = null;
+        this.loginAccount = null;
+        this.tokenFailure = null;
+        this.loginFailure = null;
+
+        this.interact = this.interact.bind(this);
+        this.acquireTokenPopup = this.interact;
+        this.acquireTokenRedirect = this.interact;
+        this.loginPopup = this.interact;
+        this.loginRedirect = this.interact;
+        this.logoutPopup = this.logoutRedirect.bind(this);
+    }
+
+    /**
+     * Creates an authentication result,
+     * like MSAL AuthenticationResult.
+     *
+     * @param {object} account signed in account.
+     * @param {Array<string>} [scopes] token scopes.
+     *
+     * @returns {object} authentication result.
+     */
+    toResult(account, scopes = types.DEFAULT_SCOPES)
+    {
+        const { tokens } = this;
+        const accessToken = tokens[scopes.join(' ')]
+            ?? scopes.map((scope) => tokens[scope]).find(Boolean)
+            ?? tokens.default
+            ?? ACCESS_TOKEN;
+
+        return {
+            account,
+            scopes,
+            accessToken,
+            idToken: 'mock-id-token',
+            idTokenClaims: account.idTokenClaims,
+            tokenType: 'Bearer',
+            expiresOn: new Date(Date.now() + TOKEN_LIFETIME)
+        };
+    }
+
+    /**
+     * Adds or replaces an account.
+     *
+     * @param {object} account account.
+     *
+     * @returns {object} account.
+     */
+    addAccount(account)
+    {
+        const index = this.accounts.findIndex(({ homeAccountId }) => homeAccountId === account.homeAccountId);
+
+        if (index < 0)
+            this.accounts.push(account);
+        else
+            this.accounts[index] = account;
+
+        return account;
+    }
+
+    /**
+     * Interactive login or token
+     * acquisition, signing in
+     * pending login account.
+     *
+     * @param {object} [request] interaction request.
+     * @param {Array<string>} [request.scopes] requested scopes.
+     *
+     * @throws {Error} on simulated login failure.
+     *
+     * @returns {Promise<object>} authentication result.
+     */
+    async interact({ scopes } = {})
+    {
+        if (this.loginFailure)
+            throw this.loginFailure;
+
+        return this.toResult(this.addAccount(this.loginAccount), scopes);
+    }
+
+    /**
+     * Returns service config.
+     *
+     * @returns {object} config.
+     */
+    getConfiguration()
+    {
+        return this.service.baseConfig;
+    }
+
+    /**
+     * There isn't redirect responses.
+     *
+     * @returns {Promise<null>} empty response.
+     */
+    async handleRedirectPromise()
+    {
+        return null;
+    }
+
+    /**
+     * Returns active account.
+     *
+     * @returns {object} active account.
+     */
+    getActiveAccount()
+    {
+        return this.active;
+    }
+
+    /**
+     * Sets active account.
+     *
+     * @param {object} account signed in account.
+     */
+    setActiveAccount(account)
+    {
+        this.active = account;
+    }
+
+    /**
+     * Returns signed in accounts.
+     *
+     * @returns {Array<object>} accounts.
+     */
+    getAllAccounts()
+    {
+        return [ ...this.accounts ];
+    }
+
+    /**
+     * Finds an account by home identifier.
+     *
+     * @param {string} id home account identifier.
+     *
+     * @returns {object} account, or null if isn't signed in.
+     */
+    getAccountByHomeId(id)
+    {
+        return this.accounts.find(({ homeAccountId }) => homeAccountId === id) ?? null;
+    }
+
+    /**
+     * Finds an account by userName.
+     *
+     * @param {string} username account userName.
+     *
+     * @returns {object} account, or null if isn't signed in.
+     */
+    getAccountByUsername(username)
+    {
+        return this.accounts.find((account) => account.username === username) ?? null;
+    }
+
+    /**
+     * Silent token acquisition, failing
+     * if a failure is simulated.
+     *
+     * @param {object} request token request.
+     * @param {Array<string>} request.scopes token scopes.
+     * @param {object} [request.account] signed in account.
+     *
+     * @throws {Error} on simulated failure or missing account.
+     *
+     * @returns {Promise<object>} authentication result.
+     */
+    async acquireTokenSilent({ scopes, account })
+    {
+        if (this.tokenFailure)
+        {
+            const { error, once } = this.tokenFailure;
+
+            if (once)
+                this.tokenFailure = null;
+
+            throw error;
+        }
+
+        if (!account)
+            throw new InteractionRequiredAuthError('no_account_error', 'No account is signed in.');
+
+        return this.toResult(account, scopes);
+    }
+
+    /**
+     * Silent sign-in isn't supported,
+     * so interactive login is used.
+     *
+     * @throws {InteractionRequiredAuthError} always.
+     */
+    async ssoSilent()
+    {
+        throw new InteractionRequiredAuthError('login_required', 'Silent sign-in isn\'t supported by mock.');
+    }
+
+    /**
+     * Removes account, or every
+     * account without it.
+     *
+     * @param {object} [request] logout request.
+     * @param {object} [request.account] account to remove.
+     */
+    async logoutRedirect({ account } = {})
+    {
+        const removed = account
+            ? this.accounts.filter(({ homeAccountId }) => homeAccountId === account.homeAccountId)
+            : [ ...this.accounts ];
+
+        this.accounts = this.accounts.filter((item) => !removed.includes(item));
+
+        if (removed.includes(this.active))
+            this.active = null;
+    }
+}
+
+/**
+ * Creates a mock authentication service,
+ * driving the same session state and events
+ * than a real one.
+ *
+ * @export
+ *
+ * @param {object} [options] mock options.
+ * @param {object|null} [options.account] signed in account data (see createMockAccount),
+ *  or null for start without session.
+ * @param {Array<string>} [options.roles] account roles claim.
+ * @param {object} [options.claims] account ID token claims.
+ * @param {object} [options.tokens] access tokens by scope, with default key as fallback.
+ * @param {object} [options.config] service config overrides.
+ *
+ * @returns {object} mock authentication service (service) and simulation helpers.
+ */
+export function createMockAuth({
+    account = {},
+    roles,
+    claims,
+    tokens = {},
+    config = {}
+} = {})
+{
+    const service = createAuthenticationService();
+    const context = new MockClientApplication(service, tokens);
+
+    context.loginAccount = createMockAccount({ ...account, roles, claims });
+
+    // mock helpers.
+    const mock = {
+        service,
+
+        // in-memory MSAL context, loginAccount
+        // is signed in on interactive login.
+        context,
+
+        /**
+         * Signs in an account, notifying
+         * login success like a real login.
+         *
+         * @param {object} [data] account data, default account if missing.
+         *
+         * @returns {object} session state.
+         */
+        simulateLogin(data)
+        {
+            const target = data ? createMockAccount(data) : context.loginAccount;
+
+            return service.loginSucceeded(context.toResult(context.addAccount(target)));
+        },
+
+        /**
+         * Signs out current account, notifying
+         * logout start like a real logout.
+         *
+         * @returns {Promise<object>} session state.
+         */
+        async simulateLogout()
+        {
+            await service.logout();
+
+            return service.setState({ authenticated: service.isAuthenticated(), accountId: service.getId() ?? null });
+        },
+
+        /**
+         * Makes token acquisition fail.
+         *
+         * @param {Error} [error] acquisition error, interaction required by default.
+         * @param {object} [options] options.
+         * @param {boolean} [options.once] whether only next acquisition fails.
+         */
+        simulateTokenFailure(error, { once = true } = {})
+        {
+            context.tokenFailure = {
+                error: error ?? new InteractionRequiredAuthError('interaction_required', 'Mock token failure.'),
+                once
+            };
+        },
+
+        /**
+         * Makes interactive login fail.
+         *
+         * @param {Error} [error] login error, or null for restore login.
+         */
+        simulateLoginFailure(error = new Error('Mock login failure.'))
+        {
+            context.loginFailure = error;
+        },
+
+        /**
+         * Sets authentication in progress.
+         *
+         * @param {boolean} [authenticating] whether is authenticating.
+         *
+         * @returns {object} session state.
+         */
+        simulateAuthenticating(authenticating = true)
+        {
+            return service.setState({ authenticating });
+        },
+
+        /**
+         * Sets an error in session state,
+         * notifying it like a real one.
+         *
+         * @param {Error} [error] session error.
+         *
+         * @returns {object} session state.
+         */
+        simulateError(error = new Error('Mock authentication error.'))
+        {
+            return service.setState({ authenticating: false, error });
+        },
+
+        /**
+         * Restores token acquisition
+         * and login behaviour.
+         */
+        restore()
+        {
+            context.tokenFailure = null;
+            context.loginFailure = null;
+        }
+    };
+
+    service.disabled = false;
+    service.baseConfig = createConfig({
+        clientId: '00000000-0000-0000-0000-000000000003',
+        tenantId: TENANT_ID,
+        syncSession: false,
+        // isolated cache for every mock.
+        cacheStorage: createMemoryStorage(),
+        ...config
+    });
+    service.context = context;
+    service.redirectPromise = Promise.resolve(null);
+
+    if (account)
+        context.setActiveAccount(context.addAccount(context.loginAccount));
+
+    service.setState({ authenticated: !!context.active, authenticating: false, accountId: service.getId() ?? null });
+
+    return mock;
+}